@@ -3,16 +3,64 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const axios = require('axios');
 const { createCanvas, loadImage } = require('canvas');
-const Replicate = require('replicate');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
+const { createJobStore } = require('./services/jobStore');
+const { JobQueue, QueueFullError, PRIORITY } = require('./services/jobQueue');
+const { JobEvents, isTerminalEvent } = require('./services/jobEvents');
+const { createUserStore, DuplicateEmailError } = require('./services/userStore');
+const { createTokenStore, InvalidRefreshTokenError } = require('./services/tokenStore');
+const { createActionTokenStore } = require('./services/actionTokenStore');
+const { createMailer } = require('./services/mailer');
+const { MemoryRateLimitStore, createRateLimiter } = require('./services/rateLimiter');
+const {
+  createCreditStore,
+  calculateGenerationCost,
+  InsufficientCreditsError
+} = require('./services/creditStore');
+const { createApiKeyStore, API_KEY_SCOPES } = require('./services/apiKeyStore');
+const { createWebhookStore, WEBHOOK_EVENTS } = require('./services/webhookStore');
+const { WebhookDispatcher, ReceiverAddressError, checkReceiverUrl } = require('./services/webhookDispatcher');
+const {
+  GARMENT_COMBINATIONS,
+  ProviderRegistry,
+  UnknownProviderError,
+  checkCapabilities
+} = require('./services/providerRegistry');
+const { HttpTryOnProvider } = require('./services/httpTryOnProvider');
+const { ReplicateVellaService } = require('./services/replicateVellaService');
+const { validateWebhook } = require('replicate');
+const { ResiliencePolicy } = require('./services/resilience');
+const { GenerationError, classifyError, toErrorPayload } = require('./services/errors');
+const { preprocessImage } = require('./services/imagePreprocessor');
+const { normalizeGarment } = require('./services/garmentNormalizer');
+const { classifyGarment } = require('./services/garmentClassifier');
+const {
+  SLOT_TYPES,
+  GARMENT_DATA_SCHEMA,
+  categoryType,
+  validateGarmentData
+} = require('./services/garmentSchema');
+const { validateUploadedFiles, applyFormatExtensions } = require('./services/uploadValidator');
+const {
+  QUALITY_POLICIES,
+  DEFAULT_QUALITY_THRESHOLDS,
+  analyzeModelPhoto
+} = require('./services/modelPhotoQuality');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Number of reverse proxies in front of the server, so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || 1);
+}
+
 const allowedOrigins = [
   "http://localhost:3000",             
   "https://try-on-ai-fit.vercel.app"    
@@ -31,85 +79,236 @@ app.use(cors({
   credentials: true,
 }));
 
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Provider webhooks are signed over the exact bytes that were sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/replicate/webhook')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use('/uploads', express.static('uploads'));
 app.use('/outputs', express.static('outputs'));
 app.use('/defaults', express.static('defaults'));
 
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key';
-
-const usersFile = path.join(__dirname, 'users.json');
-
-const initializeUsersFile = () => {
-  if (!fs.existsSync(usersFile)) {
-    fs.writeFileSync(usersFile, JSON.stringify([]));
-  }
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const MAX_OUTPUTS_PER_JOB = parseInt(process.env.MAX_OUTPUTS_PER_JOB) || 4;
+const MAX_API_KEYS_PER_USER = 20;
+const MAX_WEBHOOKS_PER_USER = 10;
+// Strict mode never hands out placeholder images: mock providers are refused and fallback results fail the job
+const STRICT_GENERATION = process.env.STRICT_GENERATION
+  ? process.env.STRICT_GENERATION === 'true'
+  : process.env.NODE_ENV === 'production';
+const IMAGE_PREPROCESSING = process.env.IMAGE_PREPROCESSING !== 'false';
+const GARMENT_NORMALIZATION = process.env.GARMENT_NORMALIZATION !== 'false';
+const GARMENT_CLASSIFIER = process.env.GARMENT_CLASSIFIER === 'true';
+// Provider-ready copies only live until the job has handed them to the provider
+const PREPARED_IMAGE_DIR = path.join(os.tmpdir(), 'tryon-prepared');
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const UPLOAD_LIMITS = {
+  minDimension: parseInt(process.env.UPLOAD_MIN_DIMENSION) || 256,
+  maxAspectRatio: parseFloat(process.env.UPLOAD_MAX_ASPECT_RATIO) || 4,
+  maxPixels: (parseFloat(process.env.UPLOAD_MAX_MEGAPIXELS) || 40) * 1000 * 1000
 };
+// 'warn' reports photo quality issues with the job, 'block' rejects the generation, 'off' skips the checks
+const MODEL_PHOTO_QUALITY_POLICY = QUALITY_POLICIES.includes(process.env.MODEL_PHOTO_QUALITY_POLICY)
+  ? process.env.MODEL_PHOTO_QUALITY_POLICY
+  : 'warn';
+const MODEL_PHOTO_THRESHOLDS = {
+  minShortSide: parseInt(process.env.MODEL_PHOTO_MIN_SIDE) || DEFAULT_QUALITY_THRESHOLDS.minShortSide,
+  minSharpness: parseFloat(process.env.MODEL_PHOTO_MIN_SHARPNESS) || DEFAULT_QUALITY_THRESHOLDS.minSharpness
+};
+const API_BASE_URL = (process.env.API_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const ROLES = ['user', 'admin'];
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const userStore = createUserStore({
+  driver: process.env.USER_STORE || 'sqlite',
+  filePath: process.env.USER_STORE_PATH || path.join(__dirname, 'data', 'users.db')
+});
 
-initializeUsersFile();
+// Import accounts from the flat users.json the server used to write directly
+userStore.migrateLegacyFile(path.join(__dirname, 'users.json'))
+  .then(({ imported, skipped }) => {
+    if (imported > 0 || skipped > 0) {
+      console.log(` Imported ${imported} user(s) from users.json (${skipped} skipped)`);
+    }
+  })
+  .then(() => promoteConfiguredAdmins())
+  .catch(error => console.error('User migration failed:', error.message));
+
+const getUserRole = (user) => user.role || 'user';
+
+// Listing an address in ADMIN_EMAILS only counts once its owner has verified it; otherwise anyone
+// could sign up with (or change their email to) a listed address and become admin
+const isConfiguredAdmin = (user) => Boolean(user.emailVerified) && ADMIN_EMAILS.includes(user.email.trim().toLowerCase());
+
+// Verified accounts listed in ADMIN_EMAILS are promoted on boot so ops can bootstrap the first admin
+async function promoteConfiguredAdmins() {
+  for (const email of ADMIN_EMAILS) {
+    const user = await userStore.findByEmail(email);
+    if (user && user.role !== 'admin' && isConfiguredAdmin(user)) {
+      await userStore.update(user.id, { role: 'admin' });
+      console.log(` Promoted ${user.email} to admin`);
+    }
+  }
+}
 
+const actionTokens = createActionTokenStore({
+  driver: process.env.TOKEN_STORE || 'file',
+  filePath: process.env.ACTION_TOKEN_STORE_PATH || path.join(__dirname, 'data', 'action-tokens.json')
+});
 
-const readUsers = () => {
-  try {
-    const data = fs.readFileSync(usersFile, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
-};
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  directory: process.env.MAIL_DIRECTORY || path.join(__dirname, 'data', 'mail'),
+  from: process.env.MAIL_FROM
+});
 
-const writeUsers = (users) => {
-  fs.writeFileSync(usersFile, JSON.stringify(users, null, 2));
-};
+const findUserByEmail = (email) => userStore.findByEmail(email);
 
-const findUserByEmail = (email) => {
-  const users = readUsers();
-  return users.find(user => user.email === email);
+const isValidEmail = (email) => {
+  return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email.trim());
 };
 
 const createUser = async (email, password) => {
-  const users = readUsers();
-  
   // Check if user already exists
-  if (users.find(user => user.email === email)) {
-    throw new Error('User already exists with this email');
+  if (await userStore.findByEmail(email)) {
+    throw new DuplicateEmailError();
   }
   
   // Hash password
   const hashedPassword = await bcrypt.hash(password, 12);
   
-  const newUser = {
-    id: Date.now().toString(),
+  return userStore.create({
     email,
     password: hashedPassword,
-    createdAt: new Date().toISOString(),
-    lastLogin: new Date().toISOString()
-  };
-  
-  users.push(newUser);
-  writeUsers(users);
-  
-  return newUser;
+    emailVerified: false,
+    role: 'user',
+    disabled: false
+  });
+};
+
+const sendVerificationEmail = async (user) => {
+  actionTokens.revokeForUser(user.id, 'verify-email');
+  const token = actionTokens.issue(user.id, 'verify-email', EMAIL_VERIFICATION_TTL_MS, { email: user.email });
+  const link = `${APP_BASE_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your TryFit AI email address',
+    text: `Confirm your email address by opening this link within 24 hours:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  actionTokens.revokeForUser(user.id, 'reset-password');
+  const token = actionTokens.issue(user.id, 'reset-password', PASSWORD_RESET_TTL_MS);
+  const link = `${APP_BASE_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your TryFit AI password',
+    text: `Choose a new password by opening this link within 1 hour:\n\n${link}\n\nIf you did not ask for a password reset, you can ignore this email.`
+  });
 };
 
 const verifyPassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
 
+const recordFailedSignin = (userId) => {
+  return userStore.update(userId, (user) => {
+    const failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+    if (failedLoginAttempts < LOGIN_LOCKOUT_THRESHOLD) {
+      return { failedLoginAttempts };
+    }
+    return {
+      failedLoginAttempts: 0,
+      lockedUntil: new Date(Date.now() + LOGIN_LOCKOUT_MS).toISOString()
+    };
+  });
+};
+
+const tokenStore = createTokenStore({
+  driver: process.env.TOKEN_STORE || 'file',
+  filePath: process.env.TOKEN_STORE_PATH || path.join(__dirname, 'data', 'tokens.json'),
+  refreshTokenTtlMs: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+});
+
 // JWT token generation
-const generateToken = (userId, email) => {
+const generateToken = (user) => {
   return jwt.sign(
-    { userId, email },
+    { userId: user.id, email: user.email, role: getUserRole(user), issuedAtMs: Date.now() },
     JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
   );
 };
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
+// Short-lived access token plus a rotating refresh token that starts a new family
+const issueTokens = (user) => ({
+  token: generateToken(user),
+  refreshToken: tokenStore.issueRefreshToken(user.id),
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+const getBearerToken = (req) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+};
+
+const apiKeyStore = createApiKeyStore({
+  driver: process.env.API_KEY_STORE || 'file',
+  filePath: process.env.API_KEY_STORE_PATH || path.join(__dirname, 'data', 'api-keys.json')
+});
+
+const authenticateApiKey = async (apiKey, req, res, next) => {
+  try {
+    const record = apiKeyStore.authenticate(apiKey);
+    if (!record) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    const user = await userStore.findById(record.userId);
+    if (!user || user.disabled) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    // Keys never act with admin rights, whoever created them
+    req.user = {
+      userId: user.id,
+      email: user.email,
+      role: 'user',
+      authType: 'apiKey',
+      apiKeyId: record.id,
+      scopes: record.scopes
+    };
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to authenticate API key: ' + error.message });
+  }
+};
+
+// Authentication middleware: a bearer JWT or an X-API-Key
+const authenticateToken = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
+
+  const token = getBearerToken(req);
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
@@ -119,14 +318,95 @@ const authenticateToken = (req, res, next) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+    if (tokenStore.isAccessTokenRevoked(user)) {
+      return res.status(403).json({ error: 'Token has been revoked' });
+    }
     req.user = user;
     next();
   });
 };
 
+// API keys carry a fixed list of scopes; JWT sessions can do everything their role allows.
+// 'account' is never granted to keys, so it marks routes that need a signed-in user.
+const requireScope = (scope) => (req, res, next) => {
+  if (req.user && req.user.scopes && !req.user.scopes.includes(scope)) {
+    return res.status(403).json({ error: `This API key does not have the "${scope}" scope` });
+  }
+  next();
+};
+
+// Role check, used after authenticateToken
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role || 'user')) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Rate limiting
+const rateLimitStore = new MemoryRateLimitStore();
+
+// Signed-in callers are limited per account, everyone else per IP
+const userOrIpKey = (req) => {
+  if (req.user) {
+    return `user:${req.user.userId}`;
+  }
+
+  const apiKey = apiKeyStore.find(req.headers['x-api-key']);
+  if (apiKey) {
+    return `user:${apiKey.userId}`;
+  }
+
+  const token = getBearerToken(req) || req.query.token;
+  if (token) {
+    try {
+      return `user:${jwt.verify(token, JWT_SECRET).userId}`;
+    } catch (error) {
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+const apiLimiter = createRateLimiter({
+  name: 'api',
+  windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000,
+  max: parseInt(process.env.RATE_LIMIT_MAX) || 1000,
+  store: rateLimitStore,
+  keyGenerator: userOrIpKey,
+  // Replicate delivers every prediction's webhooks from a few shared IPs; they are signed instead
+  skip: (req) => req.path === '/replicate/webhook'
+});
+
+const authLimiter = createRateLimiter({
+  name: 'auth',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20,
+  store: rateLimitStore,
+  message: 'Too many authentication attempts, please try again later.'
+});
+
+const generateLimiter = createRateLimiter({
+  name: 'generate',
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.GENERATE_RATE_LIMIT_MAX) || 5,
+  store: rateLimitStore,
+  keyGenerator: userOrIpKey,
+  message: 'Too many generation requests, please slow down.'
+});
+
+app.use('/api', apiLimiter);
+
+// EventSource cannot send headers, so streaming routes also accept ?token=
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
 // Enhanced directory setup
 const ensureDirectories = () => {
-  const dirs = ['uploads', 'outputs', 'defaults'];
+  const dirs = ['uploads', 'outputs', 'defaults', 'data'];
   dirs.forEach(dir => {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
@@ -151,10 +431,23 @@ const defaultImages = {
     top3: 'top3.png',
     top4: 'top4.png',
     bottom1: 'bottom1.png',
-    dress: 'dress.png'
+    dress: 'dress.png',
+    outer1: 'outer1.png',
+    outer2: 'outer2.png'
   }
 };
 
+// Type of each default garment, so requests that reference one never have to guess it from the id
+const defaultGarmentTypes = {
+  top2: 'top',
+  top3: 'top',
+  top4: 'top',
+  bottom1: 'bottom',
+  dress: 'dress',
+  outer1: 'outer',
+  outer2: 'outer'
+};
+
 const createPlaceholderImages = () => {
   const targetDir = path.join(__dirname, 'defaults');
   
@@ -185,10 +478,10 @@ const createPlaceholderImages = () => {
       const colors = {
         top: { bg: '#10B981', text: 'Top Garment' },
         bottom: { bg: '#F59E0B', text: 'Bottom Garment' },
-        dress: { bg: '#EF4444', text: 'Dress' }
+        dress: { bg: '#EF4444', text: 'Dress' },
+        outer: { bg: '#3B82F6', text: 'Outer Garment' }
       };
-      const garmentType = id.includes('top') ? 'top' : id.includes('bottom') ? 'bottom' : 'dress';
-      const color = colors[garmentType] || { bg: '#6B7280', text: 'Garment' };
+      const color = colors[defaultGarmentTypes[id]] || { bg: '#6B7280', text: 'Garment' };
       ctx.fillStyle = color.bg;
       ctx.fillRect(0, 0, 400, 500);
       ctx.fillStyle = '#FFFFFF';
@@ -236,24 +529,60 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    // The extension is added from the file's content once it has been validated
+    cb(null, file.fieldname + '-' + uniqueSuffix);
   }
 });
 
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
+    fileSize: MAX_UPLOAD_BYTES
   }
 });
 
+const removeUploadedFiles = (files) => {
+  for (const fieldFiles of Object.values(files || {})) {
+    for (const file of fieldFiles) {
+      fs.unlink(file.path, () => {});
+    }
+  }
+};
+
+const describeUploadError = (error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return { field: error.field, code: 'FILE_TOO_LARGE', message: `File is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024}MB` };
+  }
+  if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+    return { field: error.field, code: 'UNEXPECTED_FIELD', message: 'This field does not accept files' };
+  }
+  return { field: error.field || null, code: 'INVALID_UPLOAD', message: error.message };
+};
+
+// Parses the given upload fields and checks each file's actual content; any rejected file fails the whole
+// request with one error per field and all of its uploads are deleted
+const acceptImageUploads = (fields) => {
+  const parseUploads = upload.fields(fields);
+
+  return (req, res, next) => parseUploads(req, res, async (uploadError) => {
+    try {
+      const errors = uploadError
+        ? [describeUploadError(uploadError)]
+        : await validateUploadedFiles(req.files, UPLOAD_LIMITS);
+
+      if (errors.length > 0) {
+        removeUploadedFiles(req.files);
+        return res.status(400).json({ error: 'One or more uploaded images were rejected', fields: errors });
+      }
+      applyFormatExtensions(req.files);
+      next();
+    } catch (error) {
+      removeUploadedFiles(req.files);
+      next(error);
+    }
+  });
+};
+
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
@@ -264,7 +593,7 @@ app.use((error, req, res, next) => {
 });
 
 // Authentication Routes
-app.post('/api/auth/signup', async (req, res) => {
+app.post('/api/auth/signup', authLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -273,7 +602,7 @@ app.post('/api/auth/signup', async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
-    if (!/\S+@\S+\.\S+/.test(email)) {
+    if (!isValidEmail(email)) {
       return res.status(400).json({ error: 'Invalid email format' });
     }
 
@@ -284,37 +613,37 @@ app.post('/api/auth/signup', async (req, res) => {
     // Create user
     const user = await createUser(email, password);
     
-    // Generate token
-    const token = generateToken(user.id, user.email);
-    
-    // Update last login
-    const users = readUsers();
-    const userIndex = users.findIndex(u => u.id === user.id);
-    if (userIndex !== -1) {
-      users[userIndex].lastLogin = new Date().toISOString();
-      writeUsers(users);
-    }
+    // Generate tokens
+    const { token, refreshToken, expiresIn } = issueTokens(user);
+
+    sendVerificationEmail(user).catch(error => {
+      console.error('Failed to send verification email:', error.message);
+    });
 
     res.status(201).json({
       message: 'User created successfully',
       user: {
         id: user.id,
         email: user.email,
+        emailVerified: false,
+        role: getUserRole(user),
         createdAt: user.createdAt
       },
       token,
+      refreshToken,
+      expiresIn,
       redirectTo: '/dashboard'
     });
 
   } catch (error) {
-    if (error.message === 'User already exists with this email') {
+    if (error instanceof DuplicateEmailError) {
       return res.status(409).json({ error: error.message });
     }
     res.status(500).json({ error: 'Failed to create user: ' + error.message });
   }
 });
 
-app.post('/api/auth/signin', async (req, res) => {
+app.post('/api/auth/signin', authLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -324,26 +653,38 @@ app.post('/api/auth/signin', async (req, res) => {
     }
 
     // Find user
-    const user = findUserByEmail(email);
+    const user = await findUserByEmail(email);
     if (!user) {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+      const retryAfter = Math.ceil((new Date(user.lockedUntil) - new Date()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(423).json({
+        error: 'Account temporarily locked after too many failed sign-in attempts',
+        retryAfter
+      });
+    }
+
     // Verify password
     const isValidPassword = await verifyPassword(password, user.password);
     if (!isValidPassword) {
+      await recordFailedSignin(user.id);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate token
-    const token = generateToken(user.id, user.email);
+    if (user.disabled) {
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+
+    // Generate tokens
+    const { token, refreshToken, expiresIn } = issueTokens(user);
     
     // Update last login
-    const users = readUsers();
-    const userIndex = users.findIndex(u => u.id === user.id);
-    if (userIndex !== -1) {
-      users[userIndex].lastLogin = new Date().toISOString();
-      writeUsers(users);
+    await userStore.touchLastLogin(user.id);
+    if (user.failedLoginAttempts) {
+      await userStore.update(user.id, { failedLoginAttempts: 0, lockedUntil: null });
     }
 
     res.json({
@@ -351,10 +692,14 @@ app.post('/api/auth/signin', async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
+        emailVerified: Boolean(user.emailVerified),
+        role: getUserRole(user),
         createdAt: user.createdAt,
         lastLogin: user.lastLogin
       },
       token,
+      refreshToken,
+      expiresIn,
       redirectTo: '/dashboard'
     });
 
@@ -363,277 +708,212 @@ app.post('/api/auth/signin', async (req, res) => {
   }
 });
 
-app.post('/api/auth/verify', authenticateToken, (req, res) => {
+app.post('/api/auth/verify', authenticateToken, requireScope('read'), (req, res) => {
   res.json({
     valid: true,
     user: {
       id: req.user.userId,
-      email: req.user.email
-    }
+      email: req.user.email,
+      role: req.user.role || 'user'
+    },
+    expiresAt: req.user.exp ? new Date(req.user.exp * 1000).toISOString() : null
   });
 });
 
-// AI Service Classes
-class ReplicateVellaService {
-  constructor() {
-    this.apiToken = process.env.REPLICATE_API_TOKEN;
-    
-    if (!this.apiToken) {
-      throw new Error('REPLICATE_API_TOKEN is required');
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
     }
-    
-    this.replicate = new Replicate({
-      auth: this.apiToken,
+
+    const rotated = tokenStore.rotateRefreshToken(refreshToken);
+    const user = await userStore.findById(rotated.userId);
+    if (!user || user.disabled) {
+      tokenStore.revokeFamily(rotated.familyId);
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: generateToken(user),
+      refreshToken: rotated.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
     });
-    
-    this.model = "omnious/vella-1.5";
-  }
 
-  async prepareImage(imagePath, type = 'model') {
-    try {
-      const imageBuffer = fs.readFileSync(imagePath);
-      return imageBuffer;
-    } catch (error) {
-      throw new Error(`Image preparation failed: ${error.message}`);
+  } catch (error) {
+    if (error instanceof InvalidRefreshTokenError) {
+      return res.status(401).json({ error: error.message });
     }
+    res.status(500).json({ error: 'Failed to refresh token: ' + error.message });
   }
+});
 
-  getGarmentParameter(garmentType) {
-    const garmentParams = {
-      top: 'top_image',
-      bottom: 'bottom_image',
-      dress: 'dress_image',
-      outer: 'outer_image'
-    };
-    
-    return garmentParams[garmentType] || 'top_image';
-  }
+app.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const record = actionTokens.consume(token, 'verify-email');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    const user = await userStore.findById(record.userId);
+    // The link only proves ownership of the address it was sent to
+    if (!user || user.email !== record.data.email) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
 
-  async streamToBuffer(stream) {
-    return new Promise((resolve, reject) => {
-      const chunks = [];
-      stream.on('data', (chunk) => chunks.push(chunk));
-      stream.on('error', reject);
-      stream.on('end', () => resolve(Buffer.concat(chunks)));
+    const verifiedUser = await userStore.update(user.id, {
+      emailVerified: true,
+      emailVerifiedAt: new Date().toISOString()
     });
+
+    if (verifiedUser.role !== 'admin' && isConfiguredAdmin(verifiedUser)) {
+      await userStore.update(user.id, { role: 'admin' });
+      console.log(` Promoted ${user.email} to admin`);
+    }
+
+    res.json({ message: 'Email verified successfully' });
+
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to verify email: ' + error.message });
   }
+});
 
-  async virtualTryOn(modelImagePath, garments, options = {}) {
-    try {
-      const [modelImageBuffer] = await Promise.all([
-        this.prepareImage(modelImagePath, 'model')
-      ]);
-
-      const input = {
-        model_image: modelImageBuffer,
-        num_outputs: options.numOutputs || 1,
-        seed: options.seed || Math.floor(Math.random() * 1000000),
-      };
+app.post('/api/auth/resend-verification', authenticateToken, requireScope('account'), async (req, res) => {
+  try {
+    const user = await userStore.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
+    if (user.emailVerified) {
+      return res.status(409).json({ error: 'Email is already verified' });
+    }
 
-      for (const garment of garments) {
-        const garmentImageBuffer = await this.prepareImage(garment.imagePath, 'garment');
-        const garmentParam = this.getGarmentParameter(garment.type);
-        input[garmentParam] = garmentImageBuffer;
-      }
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
 
-      const output = await this.replicate.run(this.model, { input });
-      return this.processReplicateOutput(output, options);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to send verification email: ' + error.message });
+  }
+});
 
-    } catch (error) {
-      throw new Error(`Virtual try-on failed: ${error.message}`);
+app.post('/api/auth/forgot-password', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await findUserByEmail(email);
+    if (user) {
+      await sendPasswordResetEmail(user);
     }
+
+    // Same answer either way so the endpoint cannot be used to discover accounts
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to start password reset: ' + error.message });
   }
+});
 
-  async processReplicateOutput(output, options) {
-    try {
-      const results = [];
-
-      if (Array.isArray(output)) {
-        for (let i = 0; i < output.length; i++) {
-          const item = output[i];
-
-          if (item && typeof item.pipe === 'function') {
-            const imageBuffer = await this.streamToBuffer(item);
-            results.push({
-              imageBuffer,
-              index: i,
-              type: 'tryon_result',
-              mimeType: 'image/png',
-              isStream: true
-            });
-
-          } else if (typeof item === 'string') {
-            results.push({
-              imageUrl: item,
-              index: i,
-              type: 'tryon_result',
-              mimeType: 'image/png'
-            });
-
-          } else if (item && typeof item === 'object') {
-            if (typeof item.url === 'function') {
-              try {
-                const resolvedUrl = item.url();
-                results.push({
-                  imageUrl: resolvedUrl.toString(),
-                  index: i,
-                  type: 'tryon_result',
-                  mimeType: 'image/png'
-                });
-              } catch (urlError) {
-              }
-            } else if (item.url && typeof item.url === 'string') {
-              results.push({
-                imageUrl: item.url,
-                index: i,
-                type: 'tryon_result',
-                mimeType: 'image/png'
-              });
-            }
-          }
-        }
-      } else if (output && typeof output.pipe === 'function') {
-        const imageBuffer = await this.streamToBuffer(output);
-        results.push({
-          imageBuffer,
-          index: 0,
-          type: 'tryon_result',
-          mimeType: 'image/png',
-          isStream: true
-        });
-      } else if (typeof output === 'string') {
-        results.push({
-          imageUrl: output,
-          index: 0,
-          type: 'tryon_result',
-          mimeType: 'image/png'
-        });
-      } else if (output && typeof output === 'object') {
-        if (typeof output.url === 'function') {
-          try {
-            const resolvedUrl = output.url();
-            results.push({
-              imageUrl: resolvedUrl.toString(),
-              index: 0,
-              type: 'tryon_result',
-              mimeType: 'image/png'
-            });
-          } catch (urlError) {
-          }
-        } else if (output.url && typeof output.url === 'string') {
-          results.push({
-            imageUrl: output.url,
-            index: 0,
-            type: 'tryon_result',
-            mimeType: 'image/png'
-          });
-        }
-      } else {
-        return this.createMockResults();
-      }
+app.post('/api/auth/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
 
-      if (results.length === 0) {
-        return this.createMockResults();
-      }
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
 
-      return results;
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
 
-    } catch (error) {
-      throw new Error(`Failed to process results: ${error.message}`);
+    const record = actionTokens.consume(token, 'reset-password');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
     }
-  }
 
-  async getImageBuffer(result) {
-    try {
-      if (result.imageBuffer) {
-        return result.imageBuffer;
-      }
+    const hashedPassword = await bcrypt.hash(password, 12);
+    const user = await userStore.update(record.userId, {
+      password: hashedPassword,
+      passwordChangedAt: new Date().toISOString(),
+      failedLoginAttempts: 0,
+      lockedUntil: null
+    });
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
 
-      let imageUrl = result.imageUrl;
+    // Sessions opened with the old password must not survive the reset
+    tokenStore.revokeAllForUser(user.id);
 
-      if (typeof imageUrl === 'function') {
-        imageUrl = imageUrl();
-      }
+    res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
 
-      if (typeof imageUrl !== 'string') {
-        throw new Error(`Invalid image URL type: ${typeof imageUrl}`);
-      }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reset password: ' + error.message });
+  }
+});
 
-      if (imageUrl.startsWith('mock://')) {
-        return this.createMockImageBuffer();
-      }
+// Works with an expired access token too, so a client can always sign out
+app.post('/api/auth/logout', (req, res) => {
+  const { refreshToken, allDevices } = req.body;
+  const accessToken = getBearerToken(req);
 
-      const response = await axios.get(imageUrl, {
-        responseType: 'arraybuffer',
-        timeout: 30000,
-        headers: {
-          'User-Agent': 'VirtualTryOn-App/1.0'
-        }
-      });
-      
-      if (!response.data) {
-        throw new Error('Empty response from image URL');
-      }
-      
-      return Buffer.from(response.data, 'binary');
-      
+  let user = null;
+  if (accessToken) {
+    try {
+      user = jwt.verify(accessToken, JWT_SECRET, { ignoreExpiration: true });
     } catch (error) {
-      return this.createMockImageBuffer();
     }
   }
 
-  createMockResults() {
-    return [{
-      imageUrl: 'mock://tryon-result-1',
-      index: 0,
-      type: 'tryon_result',
-      mimeType: 'image/png',
-      isMock: true
-    }];
+  if (!refreshToken && !user) {
+    return res.status(400).json({ error: 'A refresh token or access token is required' });
   }
 
-  async createMockImageBuffer() {
-    const canvas = createCanvas(512, 640);
-    const ctx = canvas.getContext('2d');
-    
-    const gradient = ctx.createLinearGradient(0, 0, 512, 640);
-    gradient.addColorStop(0, '#4F46E5');
-    gradient.addColorStop(1, '#7C3AED');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, 512, 640);
-    
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = 'bold 28px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('Vella AI Try-On', 256, 200);
-    
-    ctx.font = '18px Arial';
-    ctx.fillText('Professional Virtual Try-On', 256, 240);
-    
-    ctx.font = '16px Arial';
-    ctx.fillStyle = '#E5E7EB';
-    ctx.fillText('Powered by Replicate Vella 1.5', 256, 280);
-    
-    ctx.strokeStyle = '#FFFFFF';
-    ctx.lineWidth = 3;
-    ctx.strokeRect(100, 320, 312, 200);
-    
-    ctx.font = '14px Arial';
-    ctx.fillStyle = '#FFFFFF';
-    ctx.fillText('AI-Generated Result', 256, 420);
-    
-    return canvas.toBuffer('image/png');
+  if (refreshToken) {
+    tokenStore.revokeRefreshToken(refreshToken);
   }
-}
 
+  if (user) {
+    tokenStore.denyAccessToken(user.jti, user.exp);
+    if (allDevices) {
+      tokenStore.revokeAllForUser(user.userId);
+    }
+  }
+
+  res.json({ message: 'Signed out successfully' });
+});
+
+// AI Service Classes
 class MockAIService {
+  constructor({ maxOutputs = 4 } = {}) {
+    this.capabilities = {
+      garmentTypes: ['top', 'bottom', 'dress', 'outer'],
+      garmentCombinations: GARMENT_COMBINATIONS,
+      maxOutputs,
+      models: [],
+      defaultModel: null
+    };
+  }
+
   async virtualTryOn(modelImagePath, garments, options = {}) {
     const mockResults = [];
     const numOutputs = options.numOutputs || 1;
     
     for (let i = 0; i < numOutputs; i++) {
+      if (options.signal && options.signal.aborted) {
+        throw new Error('Generation cancelled');
+      }
       const mockBuffer = await this.createProfessionalMockImage(modelImagePath, garments, i);
       mockResults.push({
         imageUrl: `mock://tryon-result-${i}`,
@@ -641,7 +921,8 @@ class MockAIService {
         index: i,
         type: 'tryon_result',
         mimeType: 'image/jpeg',
-        isMock: true
+        isMock: true,
+        provenance: 'mock'
       });
     }
     
@@ -714,21 +995,291 @@ class MockAIService {
 }
 
 // Initialize AI Services
-let activeAIService;
+const providerRegistry = new ProviderRegistry();
+// Retry, timeout and circuit-breaker settings come from the environment and can be overridden per provider
+const createResiliencePolicy = (config, { timeoutMs } = {}) => new ResiliencePolicy({
+  name: config.name || config.type,
+  retries: process.env.PROVIDER_MAX_RETRIES !== undefined ? parseInt(process.env.PROVIDER_MAX_RETRIES) : 3,
+  baseDelayMs: parseInt(process.env.PROVIDER_RETRY_BASE_MS) || 1000,
+  timeoutMs: timeoutMs || (parseInt(process.env.PROVIDER_TIMEOUT_SECONDS) || 60) * 1000,
+  failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5,
+  resetTimeoutMs: (parseInt(process.env.CIRCUIT_BREAKER_RESET_SECONDS) || 60) * 1000,
+  ...config.resilience
+});
 
-if (process.env.REPLICATE_API_TOKEN) {
-  try {
-    activeAIService = new ReplicateVellaService();
-  } catch (error) {
-    activeAIService = new MockAIService();
+providerRegistry.registerType('replicate', (config) => new ReplicateVellaService({
+  webhookUrl: process.env.REPLICATE_WEBHOOK_SECRET
+    ? process.env.REPLICATE_WEBHOOK_URL || `${API_BASE_URL}/api/replicate/webhook`
+    : null,
+  pollIntervalMs: parseInt(process.env.REPLICATE_POLL_INTERVAL_MS) || undefined,
+  predictionTimeoutMs: (parseInt(process.env.PREDICTION_TIMEOUT_SECONDS) || 600) * 1000,
+  downloadTimeoutMs: (parseInt(process.env.DOWNLOAD_TIMEOUT_SECONDS) || 30) * 1000,
+  ...config,
+  resilience: createResiliencePolicy(config)
+}));
+providerRegistry.registerType('mock', (config) => new MockAIService(config));
+providerRegistry.registerType('http', (config) => new HttpTryOnProvider({
+  ...config,
+  resilience: createResiliencePolicy(config, { timeoutMs: (config.timeoutSeconds || 120) * 1000 })
+}));
+
+// TRYON_PROVIDERS is a JSON list of { name, type, default, ...options }; without it we keep
+// the mock provider and add Replicate as the default when a token is configured
+const loadProviderConfigs = () => {
+  if (process.env.TRYON_PROVIDERS) {
+    return JSON.parse(process.env.TRYON_PROVIDERS);
+  }
+
+  const configs = [{ name: 'mock', type: 'mock' }];
+  if (process.env.REPLICATE_API_TOKEN) {
+    configs.push({ name: 'replicate', type: 'replicate', default: true });
   }
-} else {
-  activeAIService = new MockAIService();
+  return configs;
+};
+
+providerRegistry.configure(loadProviderConfigs());
+if (providerRegistry.list().length === 0) {
+  providerRegistry.configure([{ name: 'mock', type: 'mock' }]);
 }
 
-const generationJobs = new Map();
+const generationJobs = createJobStore({
+  driver: process.env.JOB_STORE || 'file',
+  filePath: process.env.JOB_STORE_PATH || path.join(__dirname, 'data', 'jobs.json')
+});
+const JOB_RETENTION_MS = (parseInt(process.env.JOB_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
 
-const saveGeneratedImage = (imageBuffer, filename, userId) => {
+// Job writes are batched, so write out the last ones before the process goes away
+process.on('exit', () => generationJobs.flush());
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
+
+const jobEvents = new JobEvents();
+
+const updateJob = (requestId, job, changes, eventType = 'progress', eventData = {}) => {
+  // Once a job is cancelled or purged with its owner's account, late updates from its worker must
+  // neither change it nor put it back into the store
+  if (generationJobs.get(requestId) !== job) return;
+  const controller = activeJobControllers.get(requestId);
+  if (controller && controller.signal.aborted && eventType !== 'cancelled') return;
+
+  Object.assign(job, changes);
+  generationJobs.set(requestId, job);
+  jobEvents.publish(requestId, job.userId, eventType, {
+    status: job.status,
+    progress: job.progress,
+    message: job.message,
+    ...eventData
+  });
+};
+
+const resultProvenance = (result) => result.provenance || (result.isMock ? 'mock' : 'real');
+
+// True when every try-on image came from the model; jobs from before provenance was tracked count as unknown
+const isGenuineResult = (job) => {
+  if (!job.provenance) return null;
+  return Object.entries(job.provenance)
+    .filter(([key]) => key.startsWith('tryonResult'))
+    .every(([, provenance]) => provenance === 'real');
+};
+
+const getJobStatusPayload = (requestId, job) => {
+  if (job.status === 'failed') {
+    return {
+      status: 'failed',
+      progress: job.progress,
+      error: toErrorPayload(job)
+    };
+  }
+
+  if (job.status === 'queued') {
+    return {
+      status: 'queued',
+      progress: 0,
+      message: job.message,
+      queuePosition: jobQueue.getPosition(requestId),
+      estimatedWaitSeconds: Math.round(jobQueue.estimateWaitMs(requestId) / 1000)
+    };
+  }
+
+  if (job.status === 'cancelled') {
+    return {
+      status: 'cancelled',
+      progress: job.progress,
+      message: job.message
+    };
+  }
+
+  if (job.status === 'interrupted') {
+    return {
+      status: 'interrupted',
+      progress: job.progress,
+      message: job.message,
+      resumable: job.resumable
+    };
+  }
+
+  if (job.status === 'completed') {
+    return {
+      status: 'completed',
+      progress: 100,
+      message: job.message,
+      results: job.results,
+      provenance: job.provenance,
+      genuine: isGenuineResult(job)
+    };
+  }
+
+  return {
+    status: 'processing',
+    progress: job.progress,
+    message: job.message,
+    predictionStatus: job.predictionStatus
+  };
+};
+
+const creditStore = createCreditStore({
+  driver: process.env.CREDIT_STORE || 'file',
+  filePath: process.env.CREDIT_STORE_PATH || path.join(__dirname, 'data', 'credits.json'),
+  monthlyAllowance: parseInt(process.env.MONTHLY_CREDIT_ALLOWANCE) || 50
+});
+
+const webhookStore = createWebhookStore({
+  driver: process.env.WEBHOOK_STORE || 'file',
+  filePath: process.env.WEBHOOK_STORE_PATH || path.join(__dirname, 'data', 'webhooks.json')
+});
+
+const webhookDispatcher = new WebhookDispatcher({
+  store: webhookStore,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  timeoutMs: (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000
+});
+
+// Only plain http(s) URLs; production receivers must use https
+const validateWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'must be a valid URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'must use http or https';
+  if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:') return 'must use https';
+  if (url.username || url.password) return 'must not contain credentials';
+
+  // Checked again before every delivery, since DNS can change after registration
+  try {
+    await checkReceiverUrl(value);
+  } catch (error) {
+    if (!(error instanceof ReceiverAddressError)) throw error;
+    return error.reason === 'unresolvable'
+      ? 'host could not be resolved'
+      : 'must not point to a loopback, private or link-local address';
+  }
+  return null;
+};
+
+const toAbsoluteUrl = (value) => (typeof value === 'string' && value.startsWith('/') ? `${API_BASE_URL}${value}` : value);
+
+// Sends job.completed / job.failed to the job's callbackUrl and every matching account webhook
+const notifyJobWebhooks = (requestId, job) => {
+  const event = job.status === 'completed' ? 'job.completed' : 'job.failed';
+  const payload = {
+    requestId,
+    status: job.status,
+    results: job.results
+      ? Object.fromEntries(Object.entries(job.results).map(([key, value]) => [key, toAbsoluteUrl(value)]))
+      : null,
+    provenance: job.provenance || null,
+    genuine: job.status === 'completed' ? isGenuineResult(job) : null,
+    error: job.status === 'failed' ? toErrorPayload(job) : null,
+    createdAt: job.startTime,
+    completedAt: job.completedTime
+  };
+
+  try {
+    if (job.callbackUrl) {
+      webhookDispatcher.dispatch({ userId: job.userId, url: job.callbackUrl, event, requestId, payload });
+    }
+    for (const endpoint of webhookStore.endpointsFor(job.userId, event)) {
+      webhookDispatcher.dispatch({ userId: job.userId, endpointId: endpoint.id, url: endpoint.url, event, requestId, payload });
+    }
+  } catch (error) {
+    console.error(`Failed to queue webhooks for job ${requestId}:`, error.message);
+  }
+};
+
+// Abort controllers for jobs currently inside processVellaTryOn, keyed by requestId
+const activeJobControllers = new Map();
+
+// Charges the user before the job can run; throws InsufficientCreditsError or QueueFullError
+const queueGenerationJob = (requestId, job, priority = PRIORITY.normal) => {
+  const { numOutputs } = job.options;
+  const garmentCount = job.garments.length;
+  job.creditCost = calculateGenerationCost({ numOutputs, garmentCount });
+  creditStore.debit(job.userId, job.creditCost, {
+    requestId,
+    reason: `Try-on generation (${numOutputs} output(s), ${garmentCount} garment(s))`
+  });
+
+  generationJobs.set(requestId, job);
+  try {
+    return jobQueue.enqueue(requestId, { userId: job.userId, priority });
+  } catch (error) {
+    generationJobs.delete(requestId);
+    creditStore.refund(job.userId, requestId, 'Generation queue was full');
+    throw error;
+  }
+};
+
+const sendInsufficientCredits = (res, creditError) => {
+  return res.status(402).json({
+    error: creditError.message,
+    required: creditError.required,
+    balance: creditError.balance
+  });
+};
+
+const CANCELLABLE_STATUSES = ['queued', 'processing', 'interrupted'];
+
+const cancelJob = (requestId, job, message = 'Generation cancelled') => {
+  jobQueue.remove(requestId);
+  const controller = activeJobControllers.get(requestId);
+  if (controller) {
+    controller.abort();
+  } else if (job.predictionId) {
+    // A re-attached job still waiting in the queue owns a prediction that is running on the provider
+    const provider = providerRegistry.has(job.provider) && providerRegistry.get(job.provider);
+    if (provider && provider.cancelPrediction) {
+      provider.cancelPrediction(job.predictionId);
+    }
+  }
+
+  updateJob(requestId, job, {
+    status: 'cancelled',
+    message,
+    resumable: false,
+    completedTime: new Date()
+  }, 'cancelled');
+
+  creditStore.refund(job.userId, requestId, message);
+  cleanupJobUploads(job);
+};
+
+const sendQueueFull = (res, queueError) => {
+  res.set('Retry-After', String(queueError.retryAfterSeconds));
+  return res.status(503).json({
+    error: queueError.message,
+    retryAfter: queueError.retryAfterSeconds
+  });
+};
+
+const jobQueue = new JobQueue({
+  worker: processVellaTryOn,
+  concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+  perUserConcurrency: parseInt(process.env.QUEUE_PER_USER_CONCURRENCY) || 1,
+  maxSize: parseInt(process.env.QUEUE_MAX_SIZE) || 100
+});
+
+const saveGeneratedImage = (imageBuffer, filename, userId) => {
   const userOutputDir = path.join(__dirname, 'outputs', userId);
   if (!fs.existsSync(userOutputDir)) {
     fs.mkdirSync(userOutputDir, { recursive: true });
@@ -765,13 +1316,55 @@ const getImagePath = (type, id, file) => {
   throw new Error(`Invalid ${type} image: ${id}`);
 };
 
+// The type comes from garmentData (type, else category), then the referenced default garment, then (when
+// GARMENT_CLASSIFIER is on) a suggestion from the upload's silhouette, and finally the slot ('top' for a single garment)
+const resolveGarment = async (slot, entry, file) => {
+  const allowedTypes = SLOT_TYPES[slot];
+  const declaredType = entry.type || entry.garmentType || categoryType(entry.category);
+  let type = declaredType || defaultGarmentTypes[entry.id];
+  let typeSource = declaredType ? 'declared' : 'default';
+  let classification = null;
+
+  if (!type && file && GARMENT_CLASSIFIER && allowedTypes.length > 1) {
+    classification = await classifyGarment(file.path).catch(() => null);
+    if (classification && allowedTypes.includes(classification.type)) {
+      type = classification.type;
+      typeSource = 'classifier';
+    }
+  }
+
+  if (!type) {
+    type = allowedTypes[0];
+    typeSource = 'slot';
+  }
+
+  return {
+    type,
+    typeSource,
+    category: entry.category,
+    fit: entry.fit,
+    length: entry.length,
+    classification: classification ? classification.features : undefined,
+    imagePath: getImagePath('garment', file ? null : entry.id, file || null),
+    id: entry.id || 'uploaded'
+  };
+};
+
 app.get('/api/health', (req, res) => {
-  const isReplicate = activeAIService instanceof ReplicateVellaService;
+  const isReplicate = providerRegistry.getDefault() instanceof ReplicateVellaService;
+  const providers = providerRegistry.list().map(({ name }) => {
+    const provider = providerRegistry.get(name);
+    return { name, circuit: provider.resilience ? provider.resilience.status() : null };
+  });
+  const degraded = providers.some(provider => provider.circuit && provider.circuit.state === 'open');
+
   res.json({ 
-    status: 'healthy', 
+    status: degraded ? 'degraded' : 'healthy', 
     timestamp: new Date().toISOString(),
     service: 'AI Virtual Try-On Backend (Replicate Vella)',
     mode: isReplicate ? 'replicate-vella' : 'mock',
+    providers,
+    queue: jobQueue.stats(),
     defaultImages: {
       models: Object.keys(defaultImages.models),
       garments: Object.keys(defaultImages.garments)
@@ -780,12 +1373,38 @@ app.get('/api/health', (req, res) => {
 });
 
 // Protected routes
-app.post('/api/generate', authenticateToken, upload.fields([
+app.post('/api/validate/model-image', authenticateToken, requireScope('generate'), acceptImageUploads([
+  { name: 'modelImage', maxCount: 1 }
+]), async (req, res) => {
+  const file = req.files && req.files.modelImage && req.files.modelImage[0];
+  if (!file) {
+    return res.status(400).json({ error: 'modelImage is required' });
+  }
+
+  try {
+    const report = await analyzeModelPhoto(file.path, MODEL_PHOTO_THRESHOLDS);
+    res.json({
+      policy: MODEL_PHOTO_QUALITY_POLICY,
+      accepted: MODEL_PHOTO_QUALITY_POLICY !== 'block' || report.issues.length === 0,
+      ...report
+    });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to analyze model image: ${error.message}` });
+  } finally {
+    fs.unlink(file.path, () => {});
+  }
+});
+
+app.post('/api/generate', authenticateToken, requireScope('generate'), generateLimiter, acceptImageUploads([
   { name: 'modelImage', maxCount: 1 },
   { name: 'singleGarmentImage', maxCount: 1 },
   { name: 'topGarmentImage', maxCount: 1 },
-  { name: 'bottomGarmentImage', maxCount: 1 }
+  { name: 'bottomGarmentImage', maxCount: 1 },
+  { name: 'outerGarmentImage', maxCount: 1 }
 ]), async (req, res) => {
+  // Every way out of this handler other than a queued job deletes the files uploaded with the request
+  let queued = false;
+
   try {
     const userId = req.user.userId;
     const { 
@@ -793,8 +1412,29 @@ app.post('/api/generate', authenticateToken, upload.fields([
       garmentType, 
       outputCount = 1, 
       seed,
-      modelId
+      modelId,
+      callbackUrl,
+      provider: providerName,
+      model
     } = req.body;
+
+    let provider;
+    try {
+      provider = providerRegistry.get(providerName);
+    } catch (providerError) {
+      if (!(providerError instanceof UnknownProviderError)) throw providerError;
+      return res.status(400).json({
+        error: providerError.message,
+        providers: providerRegistry.list().map(candidate => candidate.name)
+      });
+    }
+
+    if (callbackUrl) {
+      const callbackError = await validateWebhookUrl(callbackUrl);
+      if (callbackError) {
+        return res.status(400).json({ error: `callbackUrl ${callbackError}` });
+      }
+    }
     
     let parsedGarmentData;
     try {
@@ -814,363 +1454,1163 @@ app.post('/api/generate', authenticateToken, upload.fields([
       });
     }
 
-    let garments = [];
-    
-    if (garmentType === 'single') {
-      const hasUploadedSingle = req.files && req.files.singleGarmentImage;
-      const hasDefaultSingle = parsedGarmentData && parsedGarmentData.id;
-      
-      if (!hasUploadedSingle && !hasDefaultSingle) {
-        return res.status(400).json({ 
-          error: 'Single garment image is required.' 
+    if (garmentType !== 'single' && garmentType !== 'multiple') {
+      return res.status(400).json({ 
+        error: 'Invalid garment type. Must be "single" or "multiple".' 
+      });
+    }
+
+    // Checked before any garment is normalized, so a bad count doesn't cost image processing
+    const numOutputs = parseInt(outputCount) || 1;
+    if (numOutputs < 1 || numOutputs > MAX_OUTPUTS_PER_JOB) {
+      return res.status(400).json({ error: `outputCount must be between 1 and ${MAX_OUTPUTS_PER_JOB}` });
+    }
+
+    const garmentErrors = validateGarmentData(parsedGarmentData, garmentType, { defaultGarmentTypes });
+    if (garmentErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid garmentData', errors: garmentErrors });
+    }
+
+    const garmentEntries = parsedGarmentData || {};
+    const garmentSlots = garmentType === 'single'
+      ? [{ slot: 'single', entry: garmentEntries, field: 'singleGarmentImage' }]
+      : ['top', 'bottom', 'outer'].map(slot => ({ slot, entry: garmentEntries[slot] || {}, field: `${slot}GarmentImage` }));
+
+    const garments = [];
+    for (const { slot, entry, field } of garmentSlots) {
+      const file = req.files && req.files[field] && req.files[field][0];
+      if (!file && !entry.id) continue;
+      garments.push(await resolveGarment(slot, entry, file));
+    }
+
+    if (garments.length === 0) {
+      return res.status(400).json({ 
+        error: garmentType === 'single'
+          ? 'Single garment image is required.'
+          : 'At least one garment (top, bottom or outer) is required.'
+      });
+    }
+
+    const modelImagePath = getImagePath('model', 
+      modelType === 'default' ? modelId : null, 
+      hasUploadedModel ? req.files.modelImage[0] : null
+    );
+
+    const capabilityError = checkCapabilities(provider, { model, garments, numOutputs });
+    if (capabilityError) {
+      return res.status(400).json({ error: capabilityError });
+    }
+
+    if (STRICT_GENERATION && provider.type === 'mock') {
+      return res.status(503).json({ error: `Provider "${provider.name}" only produces placeholder images and is disabled in strict mode` });
+    }
+
+    if (provider.resilience && !provider.resilience.isAvailable()) {
+      const { retryAfterSeconds } = provider.resilience.status();
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(503).json({
+        error: `Provider "${provider.name}" is temporarily unavailable after repeated failures`,
+        retryAfter: retryAfterSeconds
+      });
+    }
+
+    let modelPhotoQuality = null;
+    if (hasUploadedModel && MODEL_PHOTO_QUALITY_POLICY !== 'off') {
+      modelPhotoQuality = await analyzeModelPhoto(modelImagePath, MODEL_PHOTO_THRESHOLDS);
+
+      if (MODEL_PHOTO_QUALITY_POLICY === 'block' && modelPhotoQuality.issues.length > 0) {
+        return res.status(422).json({
+          error: 'The model photo did not pass quality checks',
+          issues: modelPhotoQuality.issues,
+          metrics: modelPhotoQuality.metrics
         });
       }
+    }
 
-      let garmentType = 'top';
-      if (parsedGarmentData && parsedGarmentData.garmentType) {
-        garmentType = parsedGarmentData.garmentType;
-      } else if (parsedGarmentData && parsedGarmentData.id) {
-        const garmentId = parsedGarmentData.id;
-        if (garmentId.includes('bottom')) {
-          garmentType = 'bottom';
-        } else if (garmentId.includes('dress')) {
-          garmentType = 'dress';
-        }
+    const requestId = crypto.randomUUID();
+
+    const job = {
+      status: 'queued',
+      progress: 0,
+      message: 'Waiting in the generation queue...',
+      results: null,
+      startTime: new Date(),
+      modelImage: modelImagePath,
+      garments: garments,
+      provider: provider.name,
+      model: model || provider.capabilities.defaultModel,
+      options: {
+        numOutputs,
+        // Fix the seed up front so a retry reproduces the same generation
+        seed: seed ? parseInt(seed) : Math.floor(Math.random() * 1000000)
+      },
+      isDefaultModel: modelImagePath.includes('defaults'),
+      modelPhotoQuality,
+      callbackUrl: callbackUrl || null,
+      userId: userId 
+    };
+
+    let queuePosition;
+    try {
+      queuePosition = queueGenerationJob(requestId, job);
+      queued = true;
+    } catch (queueError) {
+      if (queueError instanceof InsufficientCreditsError) {
+        return sendInsufficientCredits(res, queueError);
       }
+      if (!(queueError instanceof QueueFullError)) throw queueError;
 
-      const garmentImagePath = getImagePath('garment', 
-        hasDefaultSingle ? parsedGarmentData.id : null, 
-        hasUploadedSingle ? req.files.singleGarmentImage[0] : null
-      );
+      return sendQueueFull(res, queueError);
+    }
 
-      garments.push({
-        type: garmentType,
-        imagePath: garmentImagePath,
-        id: parsedGarmentData?.id || 'uploaded'
-      });
+    res.json({ 
+      message: 'Vella virtual try-on generation queued successfully', 
+      requestId,
+      status: 'queued',
+      creditsCharged: job.creditCost,
+      queuePosition,
+      estimatedWaitSeconds: Math.round(jobQueue.estimateWaitMs(requestId) / 1000),
+      warnings: modelPhotoQuality ? modelPhotoQuality.issues : [],
+      garments: garments.map(({ type, typeSource }) => ({ type, typeSource }))
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: `Failed to start generation: ${error.message}` });
+  } finally {
+    if (!queued) {
+      removeUploadedFiles(req.files);
+    }
+  }
+});
+
+app.get('/api/status/:requestId', authenticateToken, requireScope('read'), (req, res) => {
+  const job = generationJobs.get(req.params.requestId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+
+  if (job.userId !== req.user.userId) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  res.json(getJobStatusPayload(req.params.requestId, job));
+});
+
+app.delete('/api/jobs/:requestId', authenticateToken, requireScope('generate'), (req, res) => {
+  const { requestId } = req.params;
+  const job = generationJobs.get(requestId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.userId !== req.user.userId) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  if (!CANCELLABLE_STATUSES.includes(job.status)) {
+    return res.status(409).json({ error: `Cannot cancel a job that is ${job.status}` });
+  }
+
+  // The retry runs on this job's uploads; cancelling the original would delete them
+  if (job.retriedBy) {
+    return res.status(409).json({ error: 'Cannot cancel a job that has been retried', retriedBy: job.retriedBy });
+  }
+
+  cancelJob(requestId, job);
+
+  res.json({
+    message: 'Generation cancelled',
+    requestId,
+    status: 'cancelled'
+  });
+});
+
+app.post('/api/jobs/:requestId/retry', authenticateToken, requireScope('generate'), generateLimiter, (req, res) => {
+  const { requestId } = req.params;
+  const original = generationJobs.get(requestId);
+  if (!original) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (original.userId !== req.user.userId) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  if (!['failed', 'interrupted'].includes(original.status)) {
+    return res.status(409).json({ error: `Cannot retry a job that is ${original.status}` });
+  }
+
+  if (original.retriedBy) {
+    return res.status(409).json({ error: 'This job has already been retried', retriedBy: original.retriedBy });
+  }
+
+  if (!generationJobs.hasInputs(original)) {
+    return res.status(410).json({ error: 'The original images are no longer available. Please start a new generation.' });
+  }
+
+  const retryId = crypto.randomUUID();
+  const job = {
+    status: 'queued',
+    progress: 0,
+    message: 'Waiting in the generation queue...',
+    results: null,
+    startTime: new Date(),
+    modelImage: original.modelImage,
+    garments: original.garments,
+    provider: original.provider,
+    model: original.model,
+    options: original.options,
+    isDefaultModel: original.isDefaultModel,
+    callbackUrl: original.callbackUrl || null,
+    userId: original.userId,
+    retryOf: requestId
+  };
+
+  let queuePosition;
+  try {
+    queuePosition = queueGenerationJob(retryId, job);
+  } catch (queueError) {
+    if (queueError instanceof InsufficientCreditsError) {
+      return sendInsufficientCredits(res, queueError);
+    }
+    if (!(queueError instanceof QueueFullError)) {
+      return res.status(500).json({ error: `Failed to retry generation: ${queueError.message}` });
+    }
+    return sendQueueFull(res, queueError);
+  }
+
+  original.retriedBy = retryId;
+  original.resumable = false;
+  generationJobs.set(requestId, original);
+
+  res.json({
+    message: 'Vella virtual try-on retry queued successfully',
+    requestId: retryId,
+    retryOf: requestId,
+    status: 'queued',
+    creditsCharged: job.creditCost,
+    queuePosition,
+    estimatedWaitSeconds: Math.round(jobQueue.estimateWaitMs(retryId) / 1000)
+  });
+});
+
+const openEventStream = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => clearInterval(heartbeat));
+};
+
+const writeEvent = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+app.get('/api/jobs/:requestId/events', allowQueryToken, authenticateToken, requireScope('read'), (req, res) => {
+  const { requestId } = req.params;
+  const job = generationJobs.get(requestId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.userId !== req.user.userId) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  openEventStream(req, res);
+  writeEvent(res, 'snapshot', { requestId, ...getJobStatusPayload(requestId, job) });
+
+  if (isTerminalEvent(job.status)) {
+    return res.end();
+  }
+
+  const unsubscribe = jobEvents.subscribe(
+    event => event.requestId === requestId,
+    event => {
+      writeEvent(res, event.type, { requestId, timestamp: event.timestamp, ...event.data });
+      if (isTerminalEvent(event.type)) {
+        unsubscribe();
+        res.end();
+      }
+    }
+  );
+  req.on('close', unsubscribe);
+});
+
+app.get('/api/events', allowQueryToken, authenticateToken, requireScope('read'), (req, res) => {
+  const userId = req.user.userId;
+
+  openEventStream(req, res);
+  writeEvent(res, 'ready', { userId });
+
+  const unsubscribe = jobEvents.subscribe(
+    event => event.userId === userId,
+    event => writeEvent(res, event.type, {
+      requestId: event.requestId,
+      timestamp: event.timestamp,
+      ...event.data
+    })
+  );
+  req.on('close', unsubscribe);
+});
+
+
+app.use('/outputs/:userId', (req, res, next) => {
+  next();
+});
+
+app.get('/api/user/dashboard', authenticateToken, requireScope('read'), (req, res) => {
+  const userId = req.user.userId;
+  
+  const userJobs = Array.from(generationJobs.entries())
+    .filter(([_, job]) => job.userId === userId)
+    .map(([requestId, job]) => ({
+      requestId,
+      status: job.status,
+      progress: job.progress,
+      message: job.message,
+      startTime: job.startTime,
+      completedTime: job.completedTime
+    }))
+    .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+    .slice(0, 10);
+
+  res.json({
+    user: {
+      id: req.user.userId,
+      email: req.user.email
+    },
+    recentJobs: userJobs,
+    credits: {
+      balance: creditStore.getAccount(userId).balance
+    },
+    stats: {
+      totalJobs: userJobs.length,
+      completedJobs: userJobs.filter(job => job.status === 'completed').length,
+      failedJobs: userJobs.filter(job => job.status === 'failed').length
+    }
+  });
+});
+
+app.get('/api/credits', authenticateToken, requireScope('read'), (req, res) => {
+  const account = creditStore.getAccount(req.user.userId);
+
+  res.json({
+    balance: account.balance,
+    monthlyAllowance: account.monthlyAllowance,
+    period: account.period,
+    pricing: {
+      perOutputPerGarment: 1,
+      maxOutputsPerJob: MAX_OUTPUTS_PER_JOB
+    }
+  });
+});
+
+app.get('/api/credits/history', authenticateToken, requireScope('read'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  res.json(creditStore.history(req.user.userId, { limit, offset }));
+});
+
+// API Key Routes
+app.post('/api/keys', authenticateToken, requireScope('account'), (req, res) => {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  const scopes = req.body.scopes === undefined ? API_KEY_SCOPES : req.body.scopes;
+
+  if (!name || name.length > 100) {
+    return res.status(400).json({ error: 'A key name of up to 100 characters is required' });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+    return res.status(400).json({ error: `scopes must be a non-empty list drawn from: ${API_KEY_SCOPES.join(', ')}` });
+  }
+
+  if (apiKeyStore.countActive(req.user.userId) >= MAX_API_KEYS_PER_USER) {
+    return res.status(409).json({ error: `You can have at most ${MAX_API_KEYS_PER_USER} active API keys` });
+  }
+
+  const { key, apiKey } = apiKeyStore.create(req.user.userId, {
+    name,
+    scopes: Array.from(new Set(scopes))
+  });
+
+  res.status(201).json({
+    message: 'API key created. Copy it now; it will not be shown again.',
+    key,
+    apiKey
+  });
+});
+
+app.get('/api/keys', authenticateToken, requireScope('account'), (req, res) => {
+  res.json({ keys: apiKeyStore.list(req.user.userId) });
+});
+
+app.delete('/api/keys/:keyId', authenticateToken, requireScope('account'), (req, res) => {
+  if (!apiKeyStore.revoke(req.user.userId, req.params.keyId)) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  res.json({ message: 'API key revoked' });
+});
+
+// Webhook Routes
+app.post('/api/webhooks', authenticateToken, requireScope('account'), async (req, res) => {
+  const { url } = req.body;
+  const events = req.body.events === undefined ? WEBHOOK_EVENTS : req.body.events;
+
+  const urlError = typeof url === 'string' ? await validateWebhookUrl(url) : 'is required';
+  if (urlError) {
+    return res.status(400).json({ error: `url ${urlError}` });
+  }
+
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+    return res.status(400).json({ error: `events must be a non-empty list drawn from: ${WEBHOOK_EVENTS.join(', ')}` });
+  }
+
+  if (webhookStore.listEndpoints(req.user.userId).length >= MAX_WEBHOOKS_PER_USER) {
+    return res.status(409).json({ error: `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks` });
+  }
+
+  const webhook = webhookStore.addEndpoint(req.user.userId, {
+    url,
+    events: Array.from(new Set(events))
+  });
+
+  res.status(201).json({
+    message: 'Webhook registered',
+    webhook,
+    signingSecret: webhookStore.getSigningSecret(req.user.userId)
+  });
+});
+
+app.get('/api/webhooks', authenticateToken, requireScope('account'), (req, res) => {
+  res.json({
+    webhooks: webhookStore.listEndpoints(req.user.userId),
+    signingSecret: webhookStore.getSigningSecret(req.user.userId)
+  });
+});
+
+app.post('/api/webhooks/secret', authenticateToken, requireScope('account'), (req, res) => {
+  res.json({
+    message: 'Signing secret rotated',
+    signingSecret: webhookStore.rotateSigningSecret(req.user.userId)
+  });
+});
+
+app.get('/api/webhooks/deliveries', authenticateToken, requireScope('account'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  res.json(webhookStore.listDeliveries(req.user.userId, {
+    requestId: req.query.requestId,
+    limit,
+    offset
+  }));
+});
+
+app.post('/api/webhooks/deliveries/:deliveryId/redeliver', authenticateToken, requireScope('account'), (req, res) => {
+  const delivery = webhookStore.getDelivery(req.params.deliveryId);
+  if (!delivery || delivery.userId !== req.user.userId) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  res.status(202).json({
+    message: 'Redelivery queued',
+    delivery: webhookDispatcher.redeliver(delivery.id)
+  });
+});
+
+app.delete('/api/webhooks/:webhookId', authenticateToken, requireScope('account'), (req, res) => {
+  if (!webhookStore.removeEndpoint(req.user.userId, req.params.webhookId)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ message: 'Webhook deleted' });
+});
+
+// Account Routes
+app.get('/api/account', authenticateToken, requireScope('account'), async (req, res) => {
+  try {
+    const user = await userStore.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        emailVerified: Boolean(user.emailVerified),
+        role: getUserRole(user),
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load account: ' + error.message });
+  }
+});
+
+app.put('/api/account/password', authenticateToken, requireScope('account'), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    const user = await userStore.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isValidPassword = await verifyPassword(currentPassword, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    await userStore.update(user.id, {
+      password: hashedPassword,
+      passwordChangedAt: new Date().toISOString()
+    });
+
+    // Sign out every other session, then hand this client a fresh one
+    tokenStore.revokeAllForUser(user.id);
+    actionTokens.revokeForUser(user.id, 'reset-password');
+    const { token, refreshToken, expiresIn } = issueTokens(user);
+
+    res.json({
+      message: 'Password changed successfully',
+      token,
+      refreshToken,
+      expiresIn
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to change password: ' + error.message });
+  }
+});
+
+app.put('/api/account/email', authenticateToken, requireScope('account'), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    const user = await userStore.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isValidPassword = await verifyPassword(password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const updatedUser = await userStore.update(user.id, {
+      email,
+      emailVerified: false,
+      emailVerifiedAt: null
+    });
+
+    sendVerificationEmail(updatedUser).catch(error => {
+      console.error('Failed to send verification email:', error.message);
+    });
+
+    // The access token carries the email, so replace it
+    res.json({
+      message: 'Email changed. Please verify your new address.',
+      user: {
+        id: updatedUser.id,
+        email: updatedUser.email,
+        emailVerified: false
+      },
+      token: generateToken(updatedUser),
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+
+  } catch (error) {
+    if (error instanceof DuplicateEmailError) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to change email: ' + error.message });
+  }
+});
+
+app.delete('/api/account', authenticateToken, requireScope('account'), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required to delete the account' });
+    }
+
+    const user = await userStore.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isValidPassword = await verifyPassword(password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    purgeUserData(user.id);
+    await userStore.delete(user.id);
+
+    res.json({ message: 'Account and all associated data deleted' });
+
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete account: ' + error.message });
+  }
+});
+
+// Admin Routes
+const toAdminUser = (user, jobCounts = {}) => ({
+  id: user.id,
+  email: user.email,
+  role: getUserRole(user),
+  disabled: Boolean(user.disabled),
+  emailVerified: Boolean(user.emailVerified),
+  createdAt: user.createdAt,
+  lastLogin: user.lastLogin,
+  jobs: jobCounts[user.id] || 0
+});
+
+const toAdminJob = (requestId, job) => ({
+  requestId,
+  userId: job.userId,
+  status: job.status,
+  progress: job.progress,
+  message: job.message,
+  error: job.error,
+  errorCode: job.errorCode,
+  errorDetail: job.errorDetail,
+  provenance: job.provenance,
+  preprocessing: job.preprocessing,
+  modelPhotoQuality: job.modelPhotoQuality,
+  garments: (job.garments || []).map(garment => ({
+    type: garment.type,
+    id: garment.id,
+    typeSource: garment.typeSource,
+    category: garment.category,
+    normalization: garment.normalization
+  })),
+  options: job.options,
+  startTime: job.startTime,
+  completedTime: job.completedTime,
+  retryOf: job.retryOf
+});
+
+app.get('/api/admin/users', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const search = String(req.query.search || '').trim().toLowerCase();
 
-    } else if (garmentType === 'multiple') {
-      const hasUploadedTop = req.files && req.files.topGarmentImage;
-      const hasUploadedBottom = req.files && req.files.bottomGarmentImage;
-      const hasDefaultTop = parsedGarmentData && parsedGarmentData.top && parsedGarmentData.top.id;
-      const hasDefaultBottom = parsedGarmentData && parsedGarmentData.bottom && parsedGarmentData.bottom.id;
-      
-      const hasTop = hasUploadedTop || hasDefaultTop;
-      const hasBottom = hasUploadedBottom || hasDefaultBottom;
+    const jobCounts = {};
+    for (const job of generationJobs.values()) {
+      jobCounts[job.userId] = (jobCounts[job.userId] || 0) + 1;
+    }
 
-      if (!hasTop && !hasBottom) {
-        return res.status(400).json({ 
-          error: 'At least one garment (top or bottom) is required.' 
-        });
-      }
+    const users = (await userStore.list())
+      .filter(user => !search || user.email.includes(search))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-      if (hasTop) {
-        let topType = 'top';
-        if (parsedGarmentData.top && parsedGarmentData.top.garmentType) {
-          topType = parsedGarmentData.top.garmentType;
-        } else if (parsedGarmentData.top && parsedGarmentData.top.id) {
-          const garmentId = parsedGarmentData.top.id;
-          if (garmentId.includes('dress')) {
-            topType = 'dress';
-          }
-        }
+    res.json({
+      total: users.length,
+      users: users.slice(offset, offset + limit).map(user => toAdminUser(user, jobCounts))
+    });
 
-        const topImagePath = getImagePath('garment', 
-          hasDefaultTop ? parsedGarmentData.top.id : null, 
-          hasUploadedTop ? req.files.topGarmentImage[0] : null
-        );
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list users: ' + error.message });
+  }
+});
 
-        garments.push({
-          type: topType,
-          imagePath: topImagePath,
-          id: parsedGarmentData?.top?.id || 'uploaded'
-        });
+app.patch('/api/admin/users/:userId', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { disabled, role } = req.body;
+    const changes = {};
+
+    if (disabled !== undefined) {
+      if (typeof disabled !== 'boolean') {
+        return res.status(400).json({ error: 'disabled must be true or false' });
       }
+      changes.disabled = disabled;
+    }
 
-      if (hasBottom && !(garments[0] && garments[0].type === 'dress')) {
-        const bottomType = 'bottom';
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+      }
+      changes.role = role;
+    }
 
-        const bottomImagePath = getImagePath('garment', 
-          hasDefaultBottom ? parsedGarmentData.bottom.id : null, 
-          hasUploadedBottom ? req.files.bottomGarmentImage[0] : null
-        );
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
 
-        garments.push({
-          type: bottomType,
-          imagePath: bottomImagePath,
-          id: parsedGarmentData?.bottom?.id || 'uploaded'
-        });
-      }
-    } else {
-      return res.status(400).json({ 
-        error: 'Invalid garment type. Must be "single" or "multiple".' 
-      });
+    if (req.params.userId === req.user.userId) {
+      return res.status(400).json({ error: 'Admins cannot change their own role or status' });
     }
 
-    const modelImagePath = getImagePath('model', 
-      modelType === 'default' ? modelId : null, 
-      hasUploadedModel ? req.files.modelImage[0] : null
-    );
+    const user = await userStore.update(req.params.userId, changes);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    try {
-      if (!modelImagePath.includes('defaults')) validateImage(modelImagePath);
-      for (const garment of garments) {
-        if (!garment.imagePath.includes('defaults')) validateImage(garment.imagePath);
-      }
-    } catch (validationError) {
-      return res.status(400).json({ error: validationError.message });
+    // Existing tokens carry the old role and would outlive a disable
+    if (changes.disabled || changes.role) {
+      tokenStore.revokeAllForUser(user.id);
     }
 
-    const requestId = Date.now().toString();
+    res.json({ user: toAdminUser(user) });
 
-    generationJobs.set(requestId, {
-      status: 'processing',
-      progress: 0,
-      message: 'Starting Vella virtual try-on generation...',
-      results: null,
-      startTime: new Date(),
-      modelImage: modelImagePath,
-      garments: garments,
-      isDefaultModel: modelImagePath.includes('defaults'),
-      userId: userId 
-    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update user: ' + error.message });
+  }
+});
 
-    res.json({ 
-      message: 'Vella virtual try-on generation started successfully', 
-      requestId,
-      status: 'processing'
-    });
+app.post('/api/admin/users/:userId/credits', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const amount = parseInt(req.body.amount);
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({ error: 'amount must be a non-zero whole number' });
+    }
 
-    processVellaTryOn(requestId, { 
-      numOutputs: parseInt(outputCount) || 1, 
-      seed 
-    });
+    const user = await userStore.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const entry = creditStore.grant(user.id, amount, req.body.reason || `Adjusted by ${req.user.email}`);
+    res.json({ entry, balance: entry.balanceAfter });
 
   } catch (error) {
-    res.status(500).json({ error: `Failed to start generation: ${error.message}` });
+    res.status(500).json({ error: 'Failed to adjust credits: ' + error.message });
   }
 });
 
-app.get('/api/status/:requestId', authenticateToken, (req, res) => {
-  const job = generationJobs.get(req.params.requestId);
+app.get('/api/admin/jobs', authenticateToken, requireRole('admin'), (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+  const { status, userId } = req.query;
+
+  const jobs = Array.from(generationJobs.entries())
+    .filter(([_, job]) => (!status || job.status === status) && (!userId || job.userId === userId))
+    .sort(([, a], [, b]) => new Date(b.startTime) - new Date(a.startTime));
+
+  res.json({
+    total: jobs.length,
+    jobs: jobs.slice(offset, offset + limit).map(([requestId, job]) => toAdminJob(requestId, job))
+  });
+});
+
+app.get('/api/admin/jobs/:requestId', authenticateToken, requireRole('admin'), (req, res) => {
+  const { requestId } = req.params;
+  const job = generationJobs.get(requestId);
   if (!job) {
     return res.status(404).json({ error: 'Job not found' });
   }
 
+  res.json({
+    ...toAdminJob(requestId, job),
+    ...getJobStatusPayload(requestId, job)
+  });
+});
 
-  if (job.userId !== req.user.userId) {
-    return res.status(403).json({ error: 'Access denied' });
+app.delete('/api/admin/jobs/:requestId', authenticateToken, requireRole('admin'), (req, res) => {
+  const { requestId } = req.params;
+  const job = generationJobs.get(requestId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
   }
 
-  if (job.status === 'failed') {
-    return res.status(500).json({
-      status: 'failed',
-      error: job.error
-    });
+  if (!CANCELLABLE_STATUSES.includes(job.status)) {
+    return res.status(409).json({ error: `Cannot cancel a job that is ${job.status}` });
   }
 
-  if (job.status === 'completed') {
-    const response = {
-      status: 'completed',
-      progress: 100,
-      message: job.message,
-      results: job.results
-    };
-    
-    return res.json(response);
+  // The retry runs on this job's uploads; cancelling the original would delete them
+  if (job.retriedBy) {
+    return res.status(409).json({ error: 'Cannot cancel a job that has been retried', retriedBy: job.retriedBy });
   }
 
+  cancelJob(requestId, job, 'Generation cancelled by an administrator');
+
   res.json({
-    status: 'processing',
-    progress: job.progress,
-    message: job.message
+    message: 'Generation cancelled',
+    requestId,
+    status: 'cancelled'
   });
 });
 
+app.get('/api/admin/stats', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const users = await userStore.list();
+    const jobs = Array.from(generationJobs.values());
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
 
-app.use('/outputs/:userId', (req, res, next) => {
-  next();
-});
+    const byStatus = {};
+    for (const job of jobs) {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
 
-app.get('/api/user/dashboard', authenticateToken, (req, res) => {
-  const userId = req.user.userId;
-  
-  const userJobs = Array.from(generationJobs.entries())
-    .filter(([_, job]) => job.userId === userId)
-    .map(([requestId, job]) => ({
-      requestId,
-      status: job.status,
-      progress: job.progress,
-      message: job.message,
-      startTime: job.startTime,
-      completedTime: job.completedTime
-    }))
-    .sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
-    .slice(0, 10);
+    const finished = jobs.filter(job => job.status === 'completed' && job.completedTime && job.startTime);
+    const totalDurationMs = finished.reduce(
+      (sum, job) => sum + (new Date(job.completedTime) - new Date(job.startTime)), 0
+    );
+    const completed = byStatus.completed || 0;
+    const failed = byStatus.failed || 0;
 
-  res.json({
-    user: {
-      id: req.user.userId,
-      email: req.user.email
-    },
-    recentJobs: userJobs,
-    stats: {
-      totalJobs: userJobs.length,
-      completedJobs: userJobs.filter(job => job.status === 'completed').length,
-      failedJobs: userJobs.filter(job => job.status === 'failed').length
-    }
-  });
-});
+    res.json({
+      users: {
+        total: users.length,
+        admins: users.filter(user => getUserRole(user) === 'admin').length,
+        disabled: users.filter(user => user.disabled).length
+      },
+      jobs: {
+        total: jobs.length,
+        last24Hours: jobs.filter(job => new Date(job.startTime).getTime() >= dayAgo).length,
+        byStatus,
+        outputsGenerated: jobs.reduce(
+          (sum, job) => sum + Object.keys(job.results || {}).filter(key => key.startsWith('tryonResult')).length, 0
+        ),
+        successRate: completed + failed > 0 ? completed / (completed + failed) : null,
+        averageDurationSeconds: finished.length > 0 ? Math.round(totalDurationMs / finished.length / 1000) : null
+      },
+      queue: jobQueue.stats()
+    });
 
-const validateImage = (imagePath) => {
-  if (imagePath.includes('defaults')) {
-    return true;
-  }
-  
-  const stats = fs.statSync(imagePath);
-  if (stats.size < 1024) {
-    throw new Error('Image file too small');
-  }
-  if (stats.size > 10 * 1024 * 1024) {
-    throw new Error('Image file too large');
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load stats: ' + error.message });
   }
-  return true;
-};
+});
 
-async function processVellaTryOn(requestId, options = {}) {
+async function processVellaTryOn(requestId) {
   const job = generationJobs.get(requestId);
-  if (!job) return;
+  if (!job || job.status === 'cancelled') return;
+
+  const options = job.options || {};
+  const controller = new AbortController();
+  activeJobControllers.set(requestId, controller);
+
+  const throwIfCancelled = () => {
+    if (controller.signal.aborted) {
+      throw new Error('Generation cancelled');
+    }
+  };
+
+  // Nothing may be written once the job is cancelled or its owner's data purged
+  const saveOutput = (imageBuffer, filename) => {
+    throwIfCancelled();
+    return saveGeneratedImage(imageBuffer, filename, job.userId);
+  };
 
   try {
-    job.progress = 20;
-    job.message = 'Preparing images for Vella AI...';
-    generationJobs.set(requestId, job);
+    updateJob(requestId, job, {
+      status: 'processing',
+      processingStartTime: new Date(),
+      progress: 20,
+      message: 'Preparing images for Vella AI...'
+    }, 'status');
+
+    // Jobs created before providers were selectable run on the default one
+    const provider = providerRegistry.get(job.provider);
+
+    // A re-attached prediction already has its inputs
+    if (GARMENT_NORMALIZATION && !job.predictionId) {
+      await normalizeJobGarments(requestId, job, controller.signal);
+      throwIfCancelled();
+    }
 
-    const modelImagePath = job.modelImage;
-    const garments = job.garments;
+    let modelImagePath = job.modelImage;
+    let garments = job.garments;
 
-    job.progress = 40;
-    job.message = 'Running Vella AI model...';
-    generationJobs.set(requestId, job);
+    if (IMAGE_PREPROCESSING && !job.predictionId) {
+      const prepared = await prepareJobImages(requestId, job, provider);
+      modelImagePath = prepared.modelImage;
+      garments = prepared.garments;
+    }
+
+    throwIfCancelled();
+    updateJob(requestId, job, {
+      progress: 40,
+      message: job.predictionId ? 'Reconnecting to the running Vella AI prediction...' : 'Running Vella AI model...'
+    });
 
-    const vellaResults = await activeAIService.virtualTryOn(
+    // Providers with a prediction lifecycle report it through onPrediction/onProgress; model work spans 40-80%
+    const vellaResults = await provider.virtualTryOn(
       modelImagePath,
       garments,
       {
+        model: job.model || undefined,
         numOutputs: parseInt(options.numOutputs) || 1,
-        seed: options.seed ? parseInt(options.seed) : undefined
+        seed: options.seed ? parseInt(options.seed) : undefined,
+        signal: controller.signal,
+        predictionId: job.predictionId,
+        // Written out at once: after a crash the id is all that lets the job re-attach to its prediction
+        onPrediction: (prediction) => {
+          updateJob(requestId, job, {
+            predictionId: prediction.id,
+            predictionStatus: prediction.status
+          }, 'status');
+          generationJobs.flush();
+        },
+        onProgress: ({ fraction, message }, prediction) => updateJob(requestId, job, {
+          progress: 40 + Math.round(fraction * 40),
+          message,
+          predictionStatus: prediction.status
+        })
       }
     );
+    throwIfCancelled();
 
-    job.progress = 80;
-    job.message = 'Processing results...';
-    generationJobs.set(requestId, job);
+    updateJob(requestId, job, {
+      progress: 80,
+      message: 'Processing results...'
+    });
+
+    const fallbackCount = vellaResults.filter(result => resultProvenance(result) === 'fallback').length;
+    if (STRICT_GENERATION && fallbackCount > 0) {
+      throw new GenerationError('GENERATION_FALLBACK', {
+        detail: `The provider returned no usable image for ${fallbackCount} of ${vellaResults.length} result(s)`
+      });
+    }
 
     const results = {};
+    // real: produced by the try-on model; mock: rendered locally; fallback: placeholder for a missing result
+    const provenance = {};
     
     for (let i = 0; i < vellaResults.length; i++) {
+      throwIfCancelled();
       const result = vellaResults[i];
+      const key = `tryonResult${i + 1}`;
       
-      try {
-        const imageBuffer = await activeAIService.getImageBuffer(result);
-        const filename = `vella-result-${requestId}-${i}.png`;
-        results[`tryonResult${i + 1}`] = saveGeneratedImage(imageBuffer, filename, job.userId);
-      } catch (error) {
-        const mockBuffer = await createMockResultImage(job.modelImage, job.garments, i);
-        const filename = `vella-result-${requestId}-${i}.jpg`;
-        results[`tryonResult${i + 1}`] = saveGeneratedImage(mockBuffer, filename, job.userId);
-      }
+      // A failed download fails the job rather than saving a placeholder in its place
+      const imageBuffer = await provider.getImageBuffer(result);
+      const filename = `vella-result-${requestId}-${i}.png`;
+      results[key] = saveOutput(imageBuffer, filename);
+      provenance[key] = resultProvenance(result);
+
+      updateJob(requestId, job, {
+        progress: 80 + Math.round(((i + 1) / vellaResults.length) * 15),
+        message: `Saved result ${i + 1} of ${vellaResults.length}`
+      }, 'result', {
+        index: i,
+        key,
+        url: results[key],
+        provenance: provenance[key]
+      });
     }
 
     if (Object.keys(results).length > 0) {
       try {
         const enhancedProductBuffer = await createProfessionalEnhancedProduct(job.garments);
-        results.enhancedProduct = saveGeneratedImage(enhancedProductBuffer, `enhanced-${requestId}.jpg`, job.userId);
+        results.enhancedProduct = saveOutput(enhancedProductBuffer, `enhanced-${requestId}.jpg`);
+        provenance.enhancedProduct = 'mock';
         const productBackBuffer = await createProfessionalProductBack(job.garments);
-        results.productBack = saveGeneratedImage(productBackBuffer, `product-back-${requestId}.jpg`, job.userId);
+        results.productBack = saveOutput(productBackBuffer, `product-back-${requestId}.jpg`);
+        provenance.productBack = 'mock';
         
         if (results.tryonResult1) {
           results.modelFront = results.tryonResult1;
+          provenance.modelFront = provenance.tryonResult1;
         }
         
         if (results.tryonResult2) {
           results.modelBack = results.tryonResult2;
-        } else if (results.tryonResult1) {
+          provenance.modelBack = provenance.tryonResult2;
+        } else if (results.tryonResult1 && !STRICT_GENERATION) {
+          // Mirrored front view standing in for a back view the model did not generate; strict mode
+          // leaves modelBack out instead
           const backViewBuffer = await createModelBackView(results.tryonResult1, job.userId);
-          results.modelBack = saveGeneratedImage(backViewBuffer, `model-back-${requestId}.jpg`, job.userId);
+          results.modelBack = saveOutput(backViewBuffer, `model-back-${requestId}.jpg`);
+          provenance.modelBack = 'fallback';
         }
       } catch (error) {
       }
     }
 
-    job.results = results;
+    throwIfCancelled();
 
-    job.status = 'completed';
-    job.progress = 100;
-    job.message = 'Vella virtual try-on completed successfully';
-    job.completedTime = new Date();
-    generationJobs.set(requestId, job);
+    updateJob(requestId, job, {
+      results,
+      provenance,
+      status: 'completed',
+      progress: 100,
+      message: fallbackCount > 0
+        ? 'Vella virtual try-on completed with placeholder results'
+        : 'Vella virtual try-on completed successfully',
+      completedTime: new Date()
+    }, 'completed', { results, provenance, genuine: isGenuineResult({ provenance }) });
+    notifyJobWebhooks(requestId, job);
 
-    try {
-      if (!job.isDefaultModel && fs.existsSync(job.modelImage)) {
-        fs.unlinkSync(job.modelImage);
+    cleanupJobUploads(job);
+
+  } catch (error) {
+    // The cancel route has already recorded the outcome
+    if (controller.signal.aborted) return;
+
+    const failure = classifyError(error);
+    if (failure.code === 'INTERNAL') {
+      console.error(`Generation ${requestId} failed:`, error);
+    }
+
+    updateJob(requestId, job, {
+      status: 'failed',
+      error: failure.message,
+      errorCode: failure.code,
+      errorDetail: failure.detail,
+      completedTime: new Date()
+    }, 'failed', { error: failure.toJSON() });
+    creditStore.refund(job.userId, requestId, 'Generation failed');
+    notifyJobWebhooks(requestId, job);
+  } finally {
+    activeJobControllers.delete(requestId);
+    fs.rmSync(path.join(PREPARED_IMAGE_DIR, requestId), { recursive: true, force: true });
+  }
+}
+
+// Auto-orients, strips metadata, converts and pads the job's images to the provider's image profile
+async function prepareJobImages(requestId, job, provider) {
+  const profile = provider.capabilities.imageProfile || {};
+  const outputDir = path.join(PREPARED_IMAGE_DIR, requestId);
+  const describe = ({ original, output, transforms }) => ({ original, output, transforms });
+
+  try {
+    const model = await preprocessImage(job.modelImage, { outputDir, name: 'model', profile });
+    const garments = [];
+    const garmentReports = [];
+
+    for (let i = 0; i < job.garments.length; i++) {
+      const garment = job.garments[i];
+      const prepared = await preprocessImage(garment.imagePath, { outputDir, name: `garment-${i}-${garment.type}`, profile });
+      garments.push({ ...garment, imagePath: prepared.path });
+      garmentReports.push({ type: garment.type, ...describe(prepared) });
+    }
+
+    updateJob(requestId, job, {
+      preprocessing: { model: describe(model), garments: garmentReports }
+    });
+
+    return { modelImage: model.path, garments };
+  } catch (error) {
+    throw new GenerationError('INVALID_INPUT', {
+      detail: `Image preprocessing failed: ${error.message}`,
+      cause: error
+    });
+  }
+}
+
+// Swaps each uploaded garment for a cleaned copy (background removed, trimmed, centred on a standard canvas)
+// stored next to the upload, so the try-on input, the enhanced product and any retry all use it.
+// Default garments and garments cleaned on an earlier attempt are left alone.
+async function normalizeJobGarments(requestId, job, signal) {
+  const needsCleaning = (garment) => !garment.imagePath.includes('defaults') && !garment.originalImagePath;
+  if (!job.garments.some(needsCleaning)) return;
+
+  const throwIfCancelled = () => {
+    if (signal.aborted) throw new Error('Generation cancelled');
+  };
+  // Cleaned files only become part of the job once every garment is done, so until then they are ours to remove
+  const written = [];
+
+  try {
+    const garments = [];
+    for (const garment of job.garments) {
+      if (!needsCleaning(garment)) {
+        garments.push(garment);
+        continue;
       }
-      for (const garment of job.garments) {
-        if (!garment.imagePath.includes('defaults') && fs.existsSync(garment.imagePath)) {
-          fs.unlinkSync(garment.imagePath);
+
+      throwIfCancelled();
+      const upload = path.parse(garment.imagePath);
+      const outputPath = path.join(upload.dir, `${upload.name}-clean.png`);
+      written.push(outputPath);
+      const cleaned = await normalizeGarment(garment.imagePath, { outputPath });
+      garments.push({
+        ...garment,
+        imagePath: cleaned.path,
+        originalImagePath: garment.imagePath,
+        normalization: {
+          original: cleaned.original,
+          background: cleaned.background,
+          trimmed: cleaned.trimmed,
+          output: cleaned.output
         }
-      }
-    } catch (cleanupError) {
+      });
     }
 
+    throwIfCancelled();
+    updateJob(requestId, job, { garments });
   } catch (error) {
-    job.status = 'failed';
-    job.error = error.message;
-    job.completedTime = new Date();
-    generationJobs.set(requestId, job);
+    written.forEach(filePath => fs.rmSync(filePath, { force: true }));
+    if (signal.aborted) throw error;
+    throw new GenerationError('INVALID_INPUT', {
+      detail: `Garment normalization failed: ${error.message}`,
+      cause: error
+    });
   }
 }
 
-async function createMockResultImage(modelImagePath, garments, index = 0) {
-  const canvas = createCanvas(512, 640);
-  const ctx = canvas.getContext('2d');
-  
-  const gradient = ctx.createLinearGradient(0, 0, 512, 640);
-  gradient.addColorStop(0, '#1e40af');
-  gradient.addColorStop(1, '#3730a3');
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, 512, 640);
-  
+// Removes everything stored for a user: jobs, their uploads, generated outputs and sessions
+function purgeUserData(userId) {
+  for (const [requestId, job] of Array.from(generationJobs.entries())) {
+    if (job.userId !== userId) continue;
+
+    if (CANCELLABLE_STATUSES.includes(job.status)) {
+      cancelJob(requestId, job, 'Account deleted');
+    }
+    cleanupJobUploads(job);
+    generationJobs.delete(requestId);
+  }
+
+  const outputsRoot = path.join(__dirname, 'outputs');
+  const userOutputDir = path.resolve(outputsRoot, String(userId));
+  if (userOutputDir.startsWith(outputsRoot + path.sep)) {
+    fs.rmSync(userOutputDir, { recursive: true, force: true });
+  }
+
+  generationJobs.flush();
+
+  tokenStore.revokeAllForUser(userId);
+  actionTokens.revokeForUser(userId);
+  creditStore.deleteUser(userId);
+  apiKeyStore.deleteUser(userId);
+  webhookStore.deleteUser(userId);
+}
+
+function cleanupJobUploads(job) {
   try {
-    if (fs.existsSync(modelImagePath)) {
-      const modelImage = await loadImage(modelImagePath);
-      ctx.globalAlpha = 0.5;
-      const ratio = Math.min(512 / modelImage.width, 480 / modelImage.height);
-      const width = modelImage.width * ratio;
-      const height = modelImage.height * ratio;
-      const x = (512 - width) / 2;
-      const y = (640 - height) / 2;
-      ctx.drawImage(modelImage, x, y, width, height);
-      ctx.globalAlpha = 1.0;
+    if (job.modelImage && !job.modelImage.includes('defaults') && fs.existsSync(job.modelImage)) {
+      fs.unlinkSync(job.modelImage);
     }
-  } catch (error) {
+    for (const garment of job.garments || []) {
+      for (const imagePath of [garment.imagePath, garment.originalImagePath]) {
+        if (imagePath && !imagePath.includes('defaults') && fs.existsSync(imagePath)) {
+          fs.unlinkSync(imagePath);
+        }
+      }
+    }
+  } catch (cleanupError) {
   }
-  
-  ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-  ctx.fillRect(0, 0, 512, 70);
-  ctx.fillRect(0, 570, 512, 70);
-  
-  ctx.fillStyle = '#FFFFFF';
-  ctx.font = 'bold 20px Arial';
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.fillText(`Try-On Result ${index + 1}`, 256, 35);
-  
-  const garmentTypes = garments.map(g => g.type).join(' + ');
-  ctx.font = '14px Arial';
-  ctx.fillText(`Garments: ${garmentTypes}`, 256, 605);
-  
-  return canvas.toBuffer('image/jpeg', { quality: 0.9 });
 }
 
 async function createProfessionalEnhancedProduct(garments) {
@@ -1275,13 +2715,51 @@ async function createModelBackView(frontImagePath, userId) {
   return canvas.toBuffer('image/jpeg', { quality: 0.9 });
 }
 
+// Replicate posts prediction updates here when REPLICATE_WEBHOOK_SECRET is set
+app.post('/api/replicate/webhook', async (req, res) => {
+  const secret = process.env.REPLICATE_WEBHOOK_SECRET;
+  if (!secret) {
+    return res.status(404).json({ error: 'Replicate webhooks are not enabled' });
+  }
+
+  try {
+    const valid = await validateWebhook({ headers: req.headers, body: req.rawBody || '' }, secret);
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  const prediction = req.body;
+  const entry = Array.from(generationJobs.entries()).find(([, job]) => job.predictionId === prediction.id);
+  if (entry) {
+    const [, job] = entry;
+    const provider = providerRegistry.has(job.provider) && providerRegistry.get(job.provider);
+    if (provider && provider.handlePredictionUpdate) {
+      provider.handlePredictionUpdate(prediction);
+    }
+  }
+
+  res.json({ received: true });
+});
+
+app.get('/api/providers', (req, res) => {
+  res.json({ providers: providerRegistry.list() });
+});
+
 app.get('/api/default-images', (req, res) => {
   res.json({
     models: defaultImages.models,
-    garments: defaultImages.garments
+    garments: defaultImages.garments,
+    garmentTypes: defaultGarmentTypes
   });
 });
 
+app.get('/api/garment-schema', (req, res) => {
+  res.json(GARMENT_DATA_SCHEMA);
+});
+
 app.use('/outputs', express.static(path.join(__dirname, 'outputs'), {
   maxAge: '1d',
   etag: true
@@ -1300,24 +2778,132 @@ app.get('/', (req, res) => {
       auth: {
         signup: '/api/auth/signup',
         signin: '/api/auth/signin',
-        verify: '/api/auth/verify'
+        verify: '/api/auth/verify',
+        refresh: '/api/auth/refresh',
+        logout: '/api/auth/logout',
+        verifyEmail: '/api/auth/verify-email',
+        resendVerification: '/api/auth/resend-verification',
+        forgotPassword: '/api/auth/forgot-password',
+        resetPassword: '/api/auth/reset-password'
       },
       protected: {
         generate: '/api/generate',
+        validateModelImage: 'POST /api/validate/model-image',
         status: '/api/status/:requestId',
-        dashboard: '/api/user/dashboard'
+        jobEvents: '/api/jobs/:requestId/events',
+        events: '/api/events',
+        cancelJob: 'DELETE /api/jobs/:requestId',
+        retryJob: 'POST /api/jobs/:requestId/retry',
+        dashboard: '/api/user/dashboard',
+        credits: '/api/credits',
+        creditHistory: '/api/credits/history',
+        apiKeys: '/api/keys',
+        webhooks: '/api/webhooks',
+        webhookDeliveries: '/api/webhooks/deliveries',
+        redeliverWebhook: 'POST /api/webhooks/deliveries/:deliveryId/redeliver',
+        account: '/api/account',
+        changePassword: 'PUT /api/account/password',
+        changeEmail: 'PUT /api/account/email',
+        deleteAccount: 'DELETE /api/account'
+      },
+      admin: {
+        users: '/api/admin/users',
+        updateUser: 'PATCH /api/admin/users/:userId',
+        adjustCredits: 'POST /api/admin/users/:userId/credits',
+        jobs: '/api/admin/jobs',
+        job: '/api/admin/jobs/:requestId',
+        cancelJob: 'DELETE /api/admin/jobs/:requestId',
+        stats: '/api/admin/stats'
       },
       public: {
         health: '/api/health',
-        defaultImages: '/api/default-images'
+        providers: '/api/providers',
+        replicateWebhook: 'POST /api/replicate/webhook',
+        defaultImages: '/api/default-images',
+        garmentSchema: '/api/garment-schema'
       }
     }
   });
 });
 
+const recoverInterruptedJobs = () => {
+  const interrupted = generationJobs.recoverInterruptedJobs();
+  if (interrupted.length === 0) return;
+
+  console.log(` Marked ${interrupted.length} interrupted generation job(s) from the previous run`);
+
+  const resume = process.env.RESUME_INTERRUPTED_JOBS === 'true';
+
+  for (const { requestId, job } of interrupted) {
+    // A prediction that was already running on the provider keeps going there, so re-attach to it
+    const reattach = Boolean(job.predictionId) && providerRegistry.has(job.provider);
+
+    // Resumed jobs keep their original charge; the rest are refunded and can be retried
+    if (!reattach && (!resume || !job.resumable)) {
+      creditStore.refund(job.userId, requestId, 'Generation was interrupted by a server restart');
+      continue;
+    }
+
+    job.status = 'queued';
+    job.progress = 0;
+    job.message = reattach
+      ? 'Waiting in the generation queue to reconnect to the running prediction...'
+      : 'Waiting in the generation queue to resume...';
+    job.resumable = false;
+    generationJobs.set(requestId, job);
+
+    try {
+      jobQueue.enqueue(requestId, { userId: job.userId, priority: PRIORITY.high });
+    } catch (error) {
+      if (!(error instanceof QueueFullError)) throw error;
+
+      // No room to resume it: nobody would collect a running prediction's result, so stop it too
+      if (reattach) {
+        const provider = providerRegistry.get(job.provider);
+        if (provider.cancelPrediction) provider.cancelPrediction(job.predictionId);
+      }
+      job.status = 'interrupted';
+      job.resumable = generationJobs.hasInputs(job);
+      job.message = 'Generation was interrupted by a server restart and the queue was too full to resume it';
+      generationJobs.set(requestId, job);
+      creditStore.refund(job.userId, requestId, 'Generation was interrupted by a server restart');
+    }
+  }
+};
+
+const removeJobOutputs = (job) => {
+  const outputsRoot = path.join(__dirname, 'outputs');
+  for (const url of new Set(Object.values(job.results || {}))) {
+    const outputPath = typeof url === 'string' && path.resolve(__dirname, '.' + url);
+    if (outputPath && outputPath.startsWith(outputsRoot + path.sep)) {
+      fs.rmSync(outputPath, { force: true });
+    }
+  }
+};
+
+// Finished jobs are kept for JOB_RETENTION_DAYS, then dropped along with their uploads and result images
+const pruneOldJobs = () => {
+  const pruned = generationJobs.prune(JOB_RETENTION_MS);
+  for (const { job } of pruned) {
+    // A retry reuses the original's uploads; they go when the retry itself is pruned
+    if (!job.retriedBy || !generationJobs.has(job.retriedBy)) {
+      cleanupJobUploads(job);
+    }
+    removeJobOutputs(job);
+  }
+  if (pruned.length > 0) {
+    console.log(` Pruned ${pruned.length} generation job(s) older than the retention period`);
+  }
+};
+
+recoverInterruptedJobs();
+pruneOldJobs();
+setInterval(pruneOldJobs, 60 * 60 * 1000).unref();
+webhookDispatcher.resumePending();
+
 const startServer = () => {
   const server = app.listen(PORT, '0.0.0.0', () => {
-    const isReplicate = activeAIService instanceof ReplicateVellaService;
+    const isReplicate = providerRegistry.getDefault() instanceof ReplicateVellaService;
     
     console.log(`\n Vella Virtual Try-On Backend Server running on port ${PORT}`);
     console.log(` Upload directory: ${path.join(__dirname, 'uploads')}`);
@@ -1341,6 +2927,7 @@ const startServer = () => {
       console.log('\n Running in MOCK mode');
       console.log(' Set REPLICATE_API_TOKEN environment variable for real Vella AI');
     }
+    console.log(` Try-on providers: ${providerRegistry.list().map(provider => provider.name).join(', ')} (default: ${providerRegistry.getDefault().name})`);
     
     console.log(`\n Server URL: http://localhost:${PORT}`);
     console.log(' Health check: GET/POST http://localhost:5000/api/health');
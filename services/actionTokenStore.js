@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Expiring single-use tokens for emailed links (email verification, password reset)
+class MemoryActionTokenStore {
+  constructor() {
+    this.tokens = {};
+  }
+
+  issue(userId, purpose, ttlMs, data = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    this.tokens[hashToken(token)] = {
+      userId,
+      purpose,
+      data,
+      createdAt: now,
+      expiresAt: now + ttlMs,
+      usedAt: null
+    };
+    this.save();
+    return token;
+  }
+
+  consume(token, purpose) {
+    const record = this.tokens[hashToken(token)];
+    if (!record || record.purpose !== purpose || record.usedAt || record.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    record.usedAt = Date.now();
+    this.save();
+    return { userId: record.userId, data: record.data };
+  }
+
+  // Deletes the records outright (not just marking them used) so nothing, including the email in data, is left behind
+  revokeForUser(userId, purpose) {
+    let changed = false;
+    for (const [hash, record] of Object.entries(this.tokens)) {
+      if (record.userId === userId && (!purpose || record.purpose === purpose)) {
+        delete this.tokens[hash];
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.save();
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [hash, record] of Object.entries(this.tokens)) {
+      if (record.expiresAt <= now) delete this.tokens[hash];
+    }
+  }
+
+  save() {}
+}
+
+class FileActionTokenStore extends MemoryActionTokenStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.tokens = readJsonFile(filePath, {});
+    this.prune();
+  }
+
+  save() {
+    this.prune();
+    writeJsonFile(this.filePath, this.tokens);
+  }
+}
+
+const createActionTokenStore = ({ driver = 'file', filePath } = {}) => {
+  if (driver === 'memory') {
+    return new MemoryActionTokenStore();
+  }
+  if (driver === 'file') {
+    if (!filePath) {
+      throw new Error('filePath is required for the file action token store');
+    }
+    return new FileActionTokenStore(filePath);
+  }
+  throw new Error(`Unknown action token store driver: ${driver}`);
+};
+
+module.exports = {
+  MemoryActionTokenStore,
+  FileActionTokenStore,
+  createActionTokenStore
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const API_KEY_SCOPES = ['generate', 'read'];
+const KEY_PREFIX = 'tryon_';
+const LAST_USED_SAVE_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const toPublicKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  prefix: record.prefix,
+  scopes: record.scopes,
+  createdAt: record.createdAt,
+  lastUsedAt: record.lastUsedAt,
+  revokedAt: record.revokedAt
+});
+
+class MemoryApiKeyStore {
+  constructor() {
+    this.keys = {};
+    // When each key's lastUsedAt was last written out, by key id
+    this.lastSavedAt = new Map();
+  }
+
+  // The raw key is only ever returned here; afterwards only its hash is kept
+  create(userId, { name, scopes }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: crypto.randomUUID(),
+      userId,
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      scopes,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    this.keys[record.id] = record;
+    this.save();
+    return { key, apiKey: toPublicKey(record) };
+  }
+
+  list(userId) {
+    return Object.values(this.keys)
+      .filter(record => record.userId === userId && !record.revokedAt)
+      .map(toPublicKey);
+  }
+
+  countActive(userId) {
+    return this.list(userId).length;
+  }
+
+  revoke(userId, keyId) {
+    const record = this.keys[keyId];
+    if (!record || record.userId !== userId || record.revokedAt) {
+      return false;
+    }
+    record.revokedAt = new Date().toISOString();
+    this.save();
+    return true;
+  }
+
+  find(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+    const hash = hashKey(key);
+    const record = Object.values(this.keys).find(candidate => candidate.hash === hash);
+    return record && !record.revokedAt ? record : null;
+  }
+
+  // Looks the key up and records the use; lastUsedAt is flushed to disk at most once a minute per key
+  authenticate(key) {
+    const record = this.find(key);
+    if (!record) return null;
+
+    record.lastUsedAt = new Date().toISOString();
+    if (Date.now() - (this.lastSavedAt.get(record.id) || 0) > LAST_USED_SAVE_INTERVAL_MS) {
+      this.lastSavedAt.set(record.id, Date.now());
+      this.save();
+    }
+    return { ...record };
+  }
+
+  deleteUser(userId) {
+    for (const [id, record] of Object.entries(this.keys)) {
+      if (record.userId === userId) delete this.keys[id];
+    }
+    this.save();
+  }
+
+  save() {}
+}
+
+class FileApiKeyStore extends MemoryApiKeyStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.keys = readJsonFile(filePath, {});
+  }
+
+  save() {
+    writeJsonFile(this.filePath, this.keys);
+  }
+}
+
+const createApiKeyStore = ({ driver = 'file', filePath } = {}) => {
+  if (driver === 'memory') {
+    return new MemoryApiKeyStore();
+  }
+  if (driver === 'file') {
+    if (!filePath) {
+      throw new Error('filePath is required for the file API key store');
+    }
+    return new FileApiKeyStore(filePath);
+  }
+  throw new Error(`Unknown API key store driver: ${driver}`);
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  MemoryApiKeyStore,
+  FileApiKeyStore,
+  createApiKeyStore
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+class InsufficientCreditsError extends Error {
+  constructor(required, balance) {
+    super(`Not enough credits: this generation costs ${required} and your balance is ${balance}`);
+    this.name = 'InsufficientCreditsError';
+    this.required = required;
+    this.balance = balance;
+  }
+}
+
+// One credit per output image per garment sent to the provider
+const calculateGenerationCost = ({ numOutputs, garmentCount }) => {
+  return Math.max(1, numOutputs) * Math.max(1, garmentCount);
+};
+
+const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+class MemoryCreditStore {
+  constructor({ monthlyAllowance = 50 } = {}) {
+    this.monthlyAllowance = monthlyAllowance;
+    this.accounts = {};
+    this.ledger = [];
+  }
+
+  // Every month the balance is topped back up to the allowance; granted credits above it are kept
+  getAccount(userId) {
+    const period = currentPeriod();
+    let account = this.accounts[userId];
+
+    if (!account) {
+      account = { balance: 0, period: null };
+      this.accounts[userId] = account;
+    }
+
+    if (account.period !== period) {
+      account.period = period;
+      const topUp = Math.max(0, this.monthlyAllowance - account.balance);
+      if (topUp > 0) {
+        this.record(userId, 'allowance', topUp, { reason: `Monthly allowance for ${period}` });
+      }
+      this.save();
+    }
+
+    return { ...account, monthlyAllowance: this.monthlyAllowance };
+  }
+
+  debit(userId, amount, { requestId, reason } = {}) {
+    const account = this.getAccount(userId);
+    if (account.balance < amount) {
+      throw new InsufficientCreditsError(amount, account.balance);
+    }
+
+    const entry = this.record(userId, 'debit', -amount, { requestId, reason });
+    this.save();
+    return entry;
+  }
+
+  // Returns what was charged for a request; safe to call more than once
+  refund(userId, requestId, reason = 'Generation did not complete') {
+    const charged = this.ledger
+      .filter(entry => entry.userId === userId && entry.requestId === requestId && entry.type === 'debit')
+      .reduce((sum, entry) => sum - entry.amount, 0);
+    const alreadyRefunded = this.ledger.some(entry =>
+      entry.userId === userId && entry.requestId === requestId && entry.type === 'refund'
+    );
+
+    if (charged <= 0 || alreadyRefunded) return null;
+
+    this.getAccount(userId);
+    const entry = this.record(userId, 'refund', charged, { requestId, reason });
+    this.save();
+    return entry;
+  }
+
+  grant(userId, amount, reason = 'Credits granted') {
+    this.getAccount(userId);
+    const entry = this.record(userId, 'grant', amount, { reason });
+    this.save();
+    return entry;
+  }
+
+  history(userId, { limit = 50, offset = 0 } = {}) {
+    const entries = this.ledger.filter(entry => entry.userId === userId).reverse();
+    return {
+      total: entries.length,
+      entries: entries.slice(offset, offset + limit)
+    };
+  }
+
+  deleteUser(userId) {
+    delete this.accounts[userId];
+    this.ledger = this.ledger.filter(entry => entry.userId !== userId);
+    this.save();
+  }
+
+  record(userId, type, amount, { requestId = null, reason = null } = {}) {
+    const account = this.accounts[userId];
+    account.balance += amount;
+
+    const entry = {
+      id: crypto.randomUUID(),
+      userId,
+      type,
+      amount,
+      balanceAfter: account.balance,
+      requestId,
+      reason,
+      createdAt: new Date().toISOString()
+    };
+    this.ledger.push(entry);
+    return entry;
+  }
+
+  save() {}
+}
+
+class FileCreditStore extends MemoryCreditStore {
+  constructor(filePath, options) {
+    super(options);
+    this.filePath = filePath;
+    const stored = readJsonFile(filePath, {});
+    this.accounts = stored.accounts || {};
+    this.ledger = stored.ledger || [];
+  }
+
+  save() {
+    writeJsonFile(this.filePath, {
+      accounts: this.accounts,
+      ledger: this.ledger
+    });
+  }
+}
+
+const createCreditStore = ({ driver = 'file', filePath, ...options } = {}) => {
+  if (driver === 'memory') {
+    return new MemoryCreditStore(options);
+  }
+  if (driver === 'file') {
+    if (!filePath) {
+      throw new Error('filePath is required for the file credit store');
+    }
+    return new FileCreditStore(filePath, options);
+  }
+  throw new Error(`Unknown credit store driver: ${driver}`);
+};
+
+module.exports = {
+  MemoryCreditStore,
+  FileCreditStore,
+  InsufficientCreditsError,
+  calculateGenerationCost,
+  createCreditStore
+};
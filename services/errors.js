@@ -0,0 +1,112 @@
+// Stable codes for generation failures. The message is safe to show to end users;
+// the underlying provider error is kept separately as `detail` for operators.
+const GENERATION_ERRORS = {
+  PROVIDER_AUTH: {
+    retryable: false,
+    message: 'The AI provider rejected our credentials. Please try again later or contact support.'
+  },
+  INVALID_INPUT: {
+    retryable: false,
+    message: 'The AI provider could not process these images or garments. Please check your selection and try again.'
+  },
+  IMAGE_TOO_LARGE: {
+    retryable: false,
+    message: 'One of the images is too large for the AI provider. Please upload a smaller image.'
+  },
+  PROVIDER_TIMEOUT: {
+    retryable: true,
+    message: 'The AI provider took too long to respond. Please try again.'
+  },
+  QUOTA_EXCEEDED: {
+    retryable: true,
+    message: 'The AI provider is over its usage limits right now. Please try again later.'
+  },
+  PROVIDER_UNAVAILABLE: {
+    retryable: true,
+    message: 'The AI provider is temporarily unavailable. Please try again in a few minutes.'
+  },
+  GENERATION_FALLBACK: {
+    retryable: true,
+    message: 'The AI provider did not return a usable image. Please try again.'
+  },
+  INTERNAL: {
+    retryable: false,
+    message: 'Something went wrong while generating your try-on. Please try again later.'
+  }
+};
+
+class GenerationError extends Error {
+  constructor(code, { message, detail, cause } = {}) {
+    const definition = GENERATION_ERRORS[code] || GENERATION_ERRORS.INTERNAL;
+    super(message || definition.message);
+    this.name = 'GenerationError';
+    this.code = GENERATION_ERRORS[code] ? code : 'INTERNAL';
+    this.retryable = definition.retryable;
+    this.detail = detail || (cause && cause.message) || null;
+    this.cause = cause;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable
+    };
+  }
+}
+
+const statusOf = (error) => {
+  // axios errors and Replicate's ApiError both carry the HTTP response
+  const status = error.response && error.response.status;
+  return typeof status === 'number' ? status : null;
+};
+
+// Maps provider, network and timeout errors onto a GenerationError; unmatched errors get defaultCode.
+// context prefixes the operator-facing detail, e.g. 'Failed to download result image'
+const classifyError = (error, { defaultCode = 'INTERNAL', context } = {}) => {
+  if (error instanceof GenerationError) return error;
+
+  const message = String((error && error.message) || '');
+  const status = statusOf(error || {});
+  const detail = context ? `${context}: ${message}` : message;
+  const build = (code) => new GenerationError(code, { detail, cause: error });
+
+  if (error && error.name === 'CircuitOpenError') return build('PROVIDER_UNAVAILABLE');
+  if (error && error.name === 'TimeoutError') return build('PROVIDER_TIMEOUT');
+
+  if (status === 401 || status === 403) return build('PROVIDER_AUTH');
+  if (status === 402 || status === 429) return build('QUOTA_EXCEEDED');
+  if (status === 413) return build('IMAGE_TOO_LARGE');
+  if (status === 400 || status === 422) {
+    return /too large|dimension|size/i.test(message) ? build('IMAGE_TOO_LARGE') : build('INVALID_INPUT');
+  }
+  if (status >= 500) return build('PROVIDER_UNAVAILABLE');
+
+  if (/unauthori[sz]ed|unauthenticated|auth|api token/i.test(message)) return build('PROVIDER_AUTH');
+  if (/quota|rate limit|billing|insufficient credit|spend limit/i.test(message)) return build('QUOTA_EXCEEDED');
+  if (/too large|dimension|image size|file size|out of memory/i.test(message)) return build('IMAGE_TOO_LARGE');
+  if (/garment_type|invalid input|validation/i.test(message)) return build('INVALID_INPUT');
+  if (/timeout|timed out/i.test(message)) return build('PROVIDER_TIMEOUT');
+  if (/ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed/i.test(`${error && error.code} ${message}`)) {
+    return build('PROVIDER_UNAVAILABLE');
+  }
+
+  return build(defaultCode);
+};
+
+// Error object for API responses; jobs stored before error codes existed are reported as INTERNAL
+const toErrorPayload = (job) => {
+  const code = GENERATION_ERRORS[job.errorCode] ? job.errorCode : 'INTERNAL';
+  return {
+    code,
+    message: job.errorCode ? job.error : GENERATION_ERRORS.INTERNAL.message,
+    retryable: GENERATION_ERRORS[code].retryable
+  };
+};
+
+module.exports = {
+  GENERATION_ERRORS,
+  GenerationError,
+  classifyError,
+  toErrorPayload
+};
@@ -0,0 +1,48 @@
+const { segmentGarment } = require('./garmentNormalizer');
+
+// Shapes are compared on a small copy; the rules only look at the garment's silhouette
+const ANALYSIS_SIZE = 256;
+// Trousers, shorts and skirts start with a waistband spanning (nearly) the whole garment width
+const MIN_WAISTBAND_WIDTH = 0.65;
+// Dresses are much taller than they are wide; tops, jackets and bottoms rarely are
+const MIN_DRESS_ASPECT_RATIO = 1.55;
+
+const round = (value) => Number(value.toFixed(2));
+
+// Share of the garment's bounding box width covered by garment pixels at a relative height
+const rowCoverage = ({ mask, bounds, info }, fraction) => {
+  const y = bounds.top + Math.min(bounds.height - 1, Math.round(fraction * bounds.height));
+  let covered = 0;
+  for (let x = bounds.left; x < bounds.left + bounds.width; x++) {
+    if (!mask[y * info.width + x]) covered++;
+  }
+  return covered / bounds.width;
+};
+
+// Suggests a garment type for an upload from its silhouette. This is a cheap heuristic, not a model:
+// it needs a plain or transparent background and never suggests 'outer', which looks like a top.
+// Resolves to { type, features } or null when the garment can't be separated from its background.
+const classifyGarment = async (inputPath) => {
+  const segmented = await segmentGarment(inputPath, { maxWidth: ANALYSIS_SIZE, maxHeight: ANALYSIS_SIZE });
+  if (!segmented.mask) return null;
+
+  const { bounds } = segmented;
+  const features = {
+    aspectRatio: round(bounds.height / bounds.width),
+    waistbandWidth: round(Math.min(rowCoverage(segmented, 0.05), rowCoverage(segmented, 0.15))),
+    hemWidth: round(rowCoverage(segmented, 0.95))
+  };
+
+  let type = 'top';
+  if (features.waistbandWidth >= MIN_WAISTBAND_WIDTH) {
+    type = 'bottom';
+  } else if (features.aspectRatio >= MIN_DRESS_ASPECT_RATIO) {
+    type = 'dress';
+  }
+
+  return { type, features };
+};
+
+module.exports = {
+  classifyGarment
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const DEFAULT_GARMENT_CANVAS = {
+  width: 768,
+  height: 1024,
+  // Fraction of the canvas kept empty around the garment
+  padding: 0.06,
+  // Maximum RGB distance from the border colour that still counts as background
+  tolerance: 16
+};
+
+// Share of border pixels that must match the border colour for the background to count as plain
+const PLAIN_BORDER_RATIO = 0.9;
+const TRANSPARENT_ALPHA = 16;
+
+const colorDistance = (data, offset, color) => {
+  const dr = data[offset] - color[0];
+  const dg = data[offset + 1] - color[1];
+  const db = data[offset + 2] - color[2];
+  return Math.sqrt(dr * dr + dg * dg + db * db);
+};
+
+const toHex = (color) => '#' + color.map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+
+const borderIndexes = (width, height) => {
+  const indexes = [];
+  for (let x = 0; x < width; x++) {
+    indexes.push(x, (height - 1) * width + x);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    indexes.push(y * width, y * width + width - 1);
+  }
+  return indexes;
+};
+
+// Works out what surrounds the garment from the image border: transparency, a plain colour, or clutter
+const detectBackground = (data, width, height, tolerance) => {
+  const border = borderIndexes(width, height);
+  const transparent = border.filter(index => data[index * 4 + 3] < TRANSPARENT_ALPHA).length;
+  if (transparent / border.length >= PLAIN_BORDER_RATIO) {
+    return { kind: 'transparent' };
+  }
+
+  const color = [0, 0, 0];
+  for (const index of border) {
+    for (let channel = 0; channel < 3; channel++) color[channel] += data[index * 4 + channel];
+  }
+  for (let channel = 0; channel < 3; channel++) color[channel] /= border.length;
+
+  const matching = border.filter(index => colorDistance(data, index * 4, color) <= tolerance).length;
+  return matching / border.length >= PLAIN_BORDER_RATIO ? { kind: 'plain', color } : { kind: 'cluttered' };
+};
+
+// Flood-fills from the border so only background connected to the edges is removed, never
+// garment areas that happen to share its colour
+const backgroundMask = (data, width, height, background, tolerance) => {
+  const mask = new Uint8Array(width * height);
+  const isBackground = (index) => (
+    data[index * 4 + 3] < TRANSPARENT_ALPHA ||
+    (background.kind === 'plain' && colorDistance(data, index * 4, background.color) <= tolerance)
+  );
+
+  const stack = [];
+  for (const index of borderIndexes(width, height)) {
+    if (!mask[index] && isBackground(index)) {
+      mask[index] = 1;
+      stack.push(index);
+    }
+  }
+
+  while (stack.length > 0) {
+    const index = stack.pop();
+    const x = index % width;
+    const neighbours = [
+      x > 0 ? index - 1 : -1,
+      x < width - 1 ? index + 1 : -1,
+      index - width,
+      index + width
+    ];
+    for (const next of neighbours) {
+      if (next >= 0 && next < mask.length && !mask[next] && isBackground(next)) {
+        mask[next] = 1;
+        stack.push(next);
+      }
+    }
+  }
+
+  return mask;
+};
+
+const foregroundBounds = (mask, width, height) => {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) continue;
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+    }
+  }
+
+  if (right < 0) return null;
+  return { left, top, width: right - left + 1, height: bottom - top + 1 };
+};
+
+// Decodes an auto-oriented RGBA copy of the garment no larger than maxWidth x maxHeight and separates it
+// from its background. mask marks background pixels (null when the background is cluttered) and bounds
+// is the garment's bounding box; background pixels in data are made transparent.
+const segmentGarment = async (inputPath, { maxWidth, maxHeight, tolerance = DEFAULT_GARMENT_CANVAS.tolerance }) => {
+  const { data, info } = await sharp(inputPath)
+    .rotate()
+    .resize(maxWidth, maxHeight, { fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const background = detectBackground(data, info.width, info.height, tolerance);
+  const segmented = { data, info, background, mask: null, bounds: { left: 0, top: 0, width: info.width, height: info.height } };
+  if (background.kind === 'cluttered') return segmented;
+
+  const mask = backgroundMask(data, info.width, info.height, background, tolerance);
+  const foreground = foregroundBounds(mask, info.width, info.height);
+
+  // An image that is all background has nothing to cut out
+  if (foreground) {
+    for (let index = 0; index < mask.length; index++) {
+      if (mask[index]) data[index * 4 + 3] = 0;
+    }
+    segmented.mask = mask;
+    segmented.bounds = foreground;
+  }
+  return segmented;
+};
+
+// Produces a clean garment asset: background around the garment made transparent, borders trimmed,
+// and the garment centred on a fixed-size transparent PNG canvas. Cluttered backgrounds are kept as-is.
+const normalizeGarment = async (inputPath, { outputPath, canvas = {} }) => {
+  const settings = { ...DEFAULT_GARMENT_CANVAS, ...canvas };
+  const metadata = await sharp(inputPath).metadata();
+
+  // Working at up to twice the canvas size keeps the flood fill cheap for large uploads
+  const { data, info, background, bounds } = await segmentGarment(inputPath, {
+    maxWidth: settings.width * 2,
+    maxHeight: settings.height * 2,
+    tolerance: settings.tolerance
+  });
+
+  const innerWidth = Math.round(settings.width * (1 - settings.padding * 2));
+  const innerHeight = Math.round(settings.height * (1 - settings.padding * 2));
+  const garment = await sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } })
+    .extract(bounds)
+    .resize(innerWidth, innerHeight, { fit: 'inside' })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  await sharp({
+    create: {
+      width: settings.width,
+      height: settings.height,
+      channels: 4,
+      background: { r: 255, g: 255, b: 255, alpha: 0 }
+    }
+  })
+    .composite([{
+      input: garment.data,
+      left: Math.round((settings.width - garment.info.width) / 2),
+      top: Math.round((settings.height - garment.info.height) / 2)
+    }])
+    .png()
+    .toFile(outputPath);
+
+  // Crop box reported in the coordinates of the (auto-oriented) upload
+  const rotated = (metadata.orientation || 1) >= 5;
+  const scale = (rotated ? metadata.height : metadata.width) / info.width;
+
+  return {
+    path: outputPath,
+    original: { format: metadata.format, width: metadata.width, height: metadata.height },
+    background: background.kind === 'plain'
+      ? { kind: 'removed', color: toHex(background.color) }
+      : { kind: background.kind === 'transparent' ? 'transparent' : 'kept' },
+    trimmed: {
+      left: Math.round(bounds.left * scale),
+      top: Math.round(bounds.top * scale),
+      width: Math.round(bounds.width * scale),
+      height: Math.round(bounds.height * scale)
+    },
+    output: { format: 'png', width: settings.width, height: settings.height }
+  };
+};
+
+module.exports = {
+  DEFAULT_GARMENT_CANVAS,
+  segmentGarment,
+  normalizeGarment
+};
@@ -0,0 +1,152 @@
+const GARMENT_TYPES = ['top', 'bottom', 'dress', 'outer'];
+
+const GARMENT_CATEGORIES = {
+  top: ['t-shirt', 'shirt', 'blouse', 'polo', 'sweater', 'hoodie', 'tank-top'],
+  bottom: ['jeans', 'trousers', 'shorts', 'skirt', 'leggings'],
+  dress: ['dress', 'jumpsuit'],
+  outer: ['jacket', 'coat', 'blazer', 'cardigan', 'vest']
+};
+
+// Type a category belongs to, e.g. 'skirt' -> 'bottom'
+const categoryType = (category) => Object.keys(GARMENT_CATEGORIES)
+  .find(type => GARMENT_CATEGORIES[type].includes(category));
+
+const GARMENT_FITS = ['slim', 'regular', 'relaxed', 'oversized'];
+const GARMENT_LENGTHS = ['cropped', 'short', 'regular', 'long'];
+
+// Garment types each slot of a "multiple" request may hold; a dress goes in the top slot
+const SLOT_TYPES = {
+  single: GARMENT_TYPES,
+  top: ['top', 'dress'],
+  bottom: ['bottom'],
+  outer: ['outer']
+};
+
+const GARMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1, description: 'Default garment id from /api/default-images' },
+    type: { type: 'string', enum: GARMENT_TYPES },
+    garmentType: { type: 'string', enum: GARMENT_TYPES, deprecated: true, description: 'Alias of type' },
+    category: { type: 'string', enum: Object.values(GARMENT_CATEGORIES).flat() },
+    fit: { type: 'string', enum: GARMENT_FITS },
+    length: { type: 'string', enum: GARMENT_LENGTHS }
+  }
+};
+
+// JSON Schema for the garmentData form field, keyed by the request's garmentType
+const GARMENT_DATA_SCHEMA = {
+  single: GARMENT_SCHEMA,
+  multiple: {
+    type: 'object',
+    properties: {
+      top: GARMENT_SCHEMA,
+      bottom: GARMENT_SCHEMA,
+      outer: GARMENT_SCHEMA
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// Checks the subset of JSON Schema used above and reports errors in the same shape as Ajv
+// ({ instancePath, keyword, message, params }) so clients can reuse their schema error handling
+const validateSchema = (value, schema, instancePath = '') => {
+  if (value === undefined) return [];
+
+  if (schema.type && typeOf(value) !== schema.type) {
+    return [{ instancePath, keyword: 'type', message: `must be ${schema.type}`, params: { type: schema.type } }];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ instancePath, keyword: 'enum', message: 'must be equal to one of the allowed values', params: { allowedValues: schema.enum } });
+  }
+  if (schema.minLength && value.length < schema.minLength) {
+    errors.push({ instancePath, keyword: 'minLength', message: `must NOT have fewer than ${schema.minLength} characters`, params: { limit: schema.minLength } });
+  }
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    errors.push(...validateSchema(value[key], propertySchema, `${instancePath}/${key}`));
+  }
+  return errors;
+};
+
+// Rules that depend on more than one field: the slot, the declared type, the category and
+// the type of a referenced default garment have to agree
+const validateGarment = (garment, slot, instancePath, defaultGarmentTypes) => {
+  const errors = [];
+  const declaredType = garment.type || garment.garmentType;
+  const allowedTypes = SLOT_TYPES[slot];
+
+  if (garment.id !== undefined && !defaultGarmentTypes[garment.id]) {
+    errors.push({
+      instancePath: `${instancePath}/id`,
+      keyword: 'enum',
+      message: 'must be a default garment id',
+      params: { allowedValues: Object.keys(defaultGarmentTypes) }
+    });
+  }
+
+  const defaultType = defaultGarmentTypes[garment.id];
+  if (declaredType && defaultType && declaredType !== defaultType) {
+    errors.push({
+      instancePath: `${instancePath}/type`,
+      keyword: 'const',
+      message: `must match the type of default garment "${garment.id}"`,
+      params: { allowedValue: defaultType }
+    });
+  }
+
+  const type = declaredType || defaultType || categoryType(garment.category);
+  if (type && !allowedTypes.includes(type)) {
+    errors.push({
+      instancePath: `${instancePath}/type`,
+      keyword: 'enum',
+      message: `must be a garment type that fits the ${slot} slot`,
+      params: { allowedValues: allowedTypes }
+    });
+  }
+
+  if (garment.category && type && !GARMENT_CATEGORIES[type].includes(garment.category)) {
+    errors.push({
+      instancePath: `${instancePath}/category`,
+      keyword: 'enum',
+      message: `must be a ${type} category`,
+      params: { allowedValues: GARMENT_CATEGORIES[type] }
+    });
+  }
+
+  return errors;
+};
+
+// Validates parsed garmentData for a "single" or "multiple" request. Returns a list of errors, empty when valid
+const validateGarmentData = (garmentData, garmentType, { defaultGarmentTypes = {} } = {}) => {
+  const schema = GARMENT_DATA_SCHEMA[garmentType];
+  const data = garmentData === undefined ? {} : garmentData;
+  const errors = validateSchema(data, schema);
+  if (errors.length > 0) return errors;
+
+  if (garmentType === 'single') {
+    return validateGarment(data, 'single', '', defaultGarmentTypes);
+  }
+
+  return ['top', 'bottom', 'outer']
+    .filter(slot => data[slot] !== undefined)
+    .flatMap(slot => validateGarment(data[slot], slot, `/${slot}`, defaultGarmentTypes));
+};
+
+module.exports = {
+  GARMENT_TYPES,
+  GARMENT_CATEGORIES,
+  GARMENT_FITS,
+  GARMENT_LENGTHS,
+  SLOT_TYPES,
+  GARMENT_DATA_SCHEMA,
+  categoryType,
+  validateSchema,
+  validateGarmentData
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const axios = require('axios');
+const { ResiliencePolicy } = require('./resilience');
+const { classifyError } = require('./errors');
+const { combinationsFor } = require('./providerRegistry');
+
+// Talks to a self-hosted model server that accepts
+//   POST {baseUrl}/tryon { model, model_image, garments: [{ type, category, fit, length, image }], num_outputs, seed }
+// with base64 images, and answers { images: [<url or data URI>] }
+class HttpTryOnProvider {
+  constructor({ name, baseUrl, apiKey, timeoutSeconds = 120, garmentTypes, garmentCombinations, maxOutputs, models, defaultModel, imageProfile, resilience } = {}) {
+    if (!baseUrl) {
+      throw new Error('baseUrl is required for the http try-on provider');
+    }
+
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutSeconds * 1000;
+    this.resilience = resilience || new ResiliencePolicy({ name: name || 'http', timeoutMs: this.timeoutMs });
+    const types = garmentTypes || ['top', 'bottom', 'dress'];
+    this.capabilities = {
+      garmentTypes: types,
+      garmentCombinations: garmentCombinations || combinationsFor(types),
+      maxOutputs: maxOutputs || 1,
+      models: models || [],
+      defaultModel: defaultModel || null,
+      imageProfile: imageProfile || null
+    };
+  }
+
+  async virtualTryOn(modelImagePath, garments, options = {}) {
+    const payload = {
+      model: options.model || this.capabilities.defaultModel,
+      model_image: fs.readFileSync(modelImagePath).toString('base64'),
+      garments: garments.map(garment => ({
+        type: garment.type,
+        category: garment.category,
+        fit: garment.fit,
+        length: garment.length,
+        image: fs.readFileSync(garment.imagePath).toString('base64')
+      })),
+      num_outputs: options.numOutputs || 1,
+      seed: options.seed
+    };
+
+    try {
+      const response = await this.resilience.run(() => axios.post(`${this.baseUrl}/tryon`, payload, {
+        timeout: this.timeoutMs,
+        signal: options.signal,
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+      }), { label: 'Model server request', signal: options.signal, timeoutMs: this.timeoutMs, idempotent: false });
+
+      const images = (response.data && response.data.images) || [];
+      if (images.length === 0) {
+        throw new Error('Model server returned no images');
+      }
+
+      return images.map((image, index) => ({
+        imageUrl: image,
+        index,
+        type: 'tryon_result',
+        mimeType: 'image/png',
+        provenance: 'real'
+      }));
+    } catch (error) {
+      throw classifyError(error, { context: 'Model server try-on failed' });
+    }
+  }
+
+  async getImageBuffer(result) {
+    if (result.imageBuffer) {
+      return result.imageBuffer;
+    }
+
+    const dataUri = /^data:[^;]+;base64,(.*)$/.exec(result.imageUrl);
+    if (dataUri) {
+      return Buffer.from(dataUri[1], 'base64');
+    }
+
+    try {
+      const response = await this.resilience.run(() => axios.get(result.imageUrl, {
+        responseType: 'arraybuffer',
+        timeout: 30000
+      }), { label: 'Downloading the result image', timeoutMs: 30000 });
+      return Buffer.from(response.data);
+    } catch (error) {
+      throw classifyError(error, { defaultCode: 'PROVIDER_UNAVAILABLE', context: 'Failed to download result image' });
+    }
+  }
+}
+
+module.exports = { HttpTryOnProvider };
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Vella works best on 3:4 portraits around 768x1024; providers can override this via capabilities.imageProfile
+const DEFAULT_IMAGE_PROFILE = {
+  width: 768,
+  height: 1024,
+  format: 'jpeg',
+  quality: 92,
+  background: '#ffffff'
+};
+
+// EXIF orientations 5-8 rotate by 90 degrees, so width and height swap once auto-oriented
+const orientedSize = ({ width, height, orientation }) => (
+  orientation >= 5 ? { width: height, height: width } : { width, height }
+);
+
+// Returns the target canvas: the profile size when downscaling, otherwise the original size padded to the profile's aspect ratio
+const targetSize = (size, profile) => {
+  const aspect = profile.width / profile.height;
+
+  if (size.width > profile.width || size.height > profile.height) {
+    return { width: profile.width, height: profile.height };
+  }
+  if (size.width / size.height > aspect) {
+    return { width: size.width, height: Math.round(size.width / aspect) };
+  }
+  return { width: Math.round(size.height * aspect), height: size.height };
+};
+
+// Writes a provider-ready copy of inputPath into outputDir and describes every transform applied
+const preprocessImage = async (inputPath, { outputDir, name, profile = {} }) => {
+  const settings = { ...DEFAULT_IMAGE_PROFILE, ...profile };
+  const metadata = await sharp(inputPath).metadata();
+  const transforms = [];
+
+  let pipeline = sharp(inputPath).rotate();
+  if (metadata.orientation && metadata.orientation !== 1) {
+    transforms.push({ op: 'autoOrient', orientation: metadata.orientation });
+  }
+
+  if (metadata.exif || metadata.icc || metadata.xmp || metadata.iptc) {
+    transforms.push({ op: 'stripMetadata' });
+  }
+
+  const size = orientedSize(metadata);
+  const target = targetSize(size, settings);
+  if (target.width !== size.width || target.height !== size.height) {
+    pipeline = pipeline.resize(target.width, target.height, {
+      fit: 'contain',
+      background: settings.background
+    });
+    transforms.push({
+      op: 'resizeAndPad',
+      from: { width: size.width, height: size.height },
+      to: target
+    });
+  }
+
+  if (metadata.hasAlpha && settings.format === 'jpeg') {
+    pipeline = pipeline.flatten({ background: settings.background });
+    transforms.push({ op: 'flatten', background: settings.background });
+  }
+
+  pipeline = settings.format === 'png'
+    ? pipeline.png()
+    : pipeline.jpeg({ quality: settings.quality, mozjpeg: true });
+  if (metadata.format !== settings.format) {
+    transforms.push({ op: 'convert', from: metadata.format, to: settings.format });
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const outputPath = path.join(outputDir, `${name}.${settings.format === 'png' ? 'png' : 'jpg'}`);
+  const info = await pipeline.toFile(outputPath);
+
+  return {
+    path: outputPath,
+    original: {
+      format: metadata.format,
+      width: metadata.width,
+      height: metadata.height,
+      bytes: fs.statSync(inputPath).size
+    },
+    output: {
+      format: settings.format,
+      width: info.width,
+      height: info.height,
+      bytes: info.size
+    },
+    transforms
+  };
+};
+
+module.exports = {
+  DEFAULT_IMAGE_PROFILE,
+  preprocessImage
+};
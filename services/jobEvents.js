@@ -0,0 +1,35 @@
+const { EventEmitter } = require('events');
+
+// Event types are named after the job status they end in, so this doubles as the list of final statuses.
+// Jobs only become 'interrupted' at boot, but a stream opened on one afterwards must not wait forever
+const TERMINAL_EVENTS = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+class JobEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open stream, so the default warning threshold is too low
+    this.setMaxListeners(0);
+  }
+
+  publish(requestId, userId, type, data = {}) {
+    this.emit('job', {
+      requestId,
+      userId,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  subscribe(filter, listener) {
+    const handler = (event) => {
+      if (filter(event)) listener(event);
+    };
+    this.on('job', handler);
+    return () => this.off('job', handler);
+  }
+}
+
+const isTerminalEvent = (type) => TERMINAL_EVENTS.includes(type);
+
+module.exports = { JobEvents, isTerminalEvent };
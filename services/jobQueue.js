@@ -0,0 +1,150 @@
+const PRIORITY = {
+  low: -1,
+  normal: 0,
+  high: 1
+};
+
+class QueueFullError extends Error {
+  constructor(message, retryAfterSeconds) {
+    super(message);
+    this.name = 'QueueFullError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+class JobQueue {
+  constructor({ worker, concurrency = 2, perUserConcurrency = 1, maxSize = 100, defaultDurationMs = 60000 }) {
+    if (typeof worker !== 'function') {
+      throw new Error('A worker function is required');
+    }
+
+    this.worker = worker;
+    this.concurrency = Math.max(1, concurrency);
+    this.perUserConcurrency = Math.max(1, perUserConcurrency);
+    this.maxSize = Math.max(0, maxSize);
+    this.defaultDurationMs = defaultDurationMs;
+
+    this.pending = [];
+    this.running = new Map();
+    this.recentDurations = [];
+    this.sequence = 0;
+  }
+
+  isFull() {
+    return this.pending.length >= this.maxSize;
+  }
+
+  enqueue(requestId, { userId, priority = PRIORITY.normal } = {}) {
+    if (this.isFull()) {
+      throw new QueueFullError(
+        'The generation queue is full. Please try again shortly.',
+        Math.ceil(this.averageDurationMs() / 1000)
+      );
+    }
+
+    const entry = {
+      requestId,
+      userId,
+      priority,
+      sequence: this.sequence++,
+      enqueuedAt: Date.now()
+    };
+
+    // Higher priority first, then first-in first-out within the same priority
+    const index = this.pending.findIndex(other =>
+      other.priority < entry.priority ||
+      (other.priority === entry.priority && other.sequence > entry.sequence)
+    );
+    if (index === -1) {
+      this.pending.push(entry);
+    } else {
+      this.pending.splice(index, 0, entry);
+    }
+
+    this.schedule();
+    return this.getPosition(requestId);
+  }
+
+  remove(requestId) {
+    const index = this.pending.findIndex(entry => entry.requestId === requestId);
+    if (index === -1) return false;
+    this.pending.splice(index, 1);
+    return true;
+  }
+
+  isRunning(requestId) {
+    return this.running.has(requestId);
+  }
+
+  // 1-based position among waiting jobs, 0 once running, null if unknown
+  getPosition(requestId) {
+    if (this.running.has(requestId)) return 0;
+    const index = this.pending.findIndex(entry => entry.requestId === requestId);
+    return index === -1 ? null : index + 1;
+  }
+
+  averageDurationMs() {
+    if (this.recentDurations.length === 0) return this.defaultDurationMs;
+    const total = this.recentDurations.reduce((sum, ms) => sum + ms, 0);
+    return total / this.recentDurations.length;
+  }
+
+  estimateWaitMs(requestId) {
+    const position = this.getPosition(requestId);
+    if (!position) return 0;
+    const waves = Math.ceil(position / this.concurrency);
+    return Math.round(waves * this.averageDurationMs());
+  }
+
+  runningCountFor(userId) {
+    let count = 0;
+    for (const entry of this.running.values()) {
+      if (entry.userId === userId) count++;
+    }
+    return count;
+  }
+
+  schedule() {
+    while (this.running.size < this.concurrency) {
+      const index = this.pending.findIndex(entry =>
+        this.runningCountFor(entry.userId) < this.perUserConcurrency
+      );
+      if (index === -1) return;
+
+      const [entry] = this.pending.splice(index, 1);
+      this.start(entry);
+    }
+  }
+
+  start(entry) {
+    entry.startedAt = Date.now();
+    this.running.set(entry.requestId, entry);
+
+    Promise.resolve()
+      .then(() => this.worker(entry.requestId))
+      .catch(error => {
+        console.error(`Queue worker failed for ${entry.requestId}:`, error.message);
+      })
+      .finally(() => {
+        this.recentDurations.push(Date.now() - entry.startedAt);
+        if (this.recentDurations.length > 20) {
+          this.recentDurations.shift();
+        }
+        this.running.delete(entry.requestId);
+        this.schedule();
+      });
+  }
+
+  stats() {
+    return {
+      pending: this.pending.length,
+      running: this.running.size,
+      concurrency: this.concurrency,
+      perUserConcurrency: this.perUserConcurrency,
+      maxSize: this.maxSize,
+      averageDurationSeconds: Math.round(this.averageDurationMs() / 1000)
+    };
+  }
+}
+
+module.exports = { JobQueue, QueueFullError, PRIORITY };
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const IN_FLIGHT_STATUSES = ['queued', 'processing'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  get(requestId) {
+    return this.jobs.get(requestId);
+  }
+
+  has(requestId) {
+    return this.jobs.has(requestId);
+  }
+
+  set(requestId, job) {
+    job.updatedAt = new Date();
+    this.jobs.set(requestId, job);
+    this.save();
+    return this;
+  }
+
+  delete(requestId) {
+    const deleted = this.jobs.delete(requestId);
+    if (deleted) {
+      this.save();
+    }
+    return deleted;
+  }
+
+  entries() {
+    return this.jobs.entries();
+  }
+
+  values() {
+    return this.jobs.values();
+  }
+
+  save() {}
+
+  hasInputs(job) {
+    const paths = [job.modelImage, ...(job.garments || []).map(g => g.imagePath)];
+    return paths.every(p => p && fs.existsSync(p));
+  }
+
+  // Drops finished jobs last updated before the cutoff and returns them so their files can be removed
+  prune(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    const pruned = [];
+
+    for (const [requestId, job] of this.jobs.entries()) {
+      if (!FINISHED_STATUSES.includes(job.status)) continue;
+      if (new Date(job.updatedAt).getTime() >= cutoff) continue;
+
+      this.jobs.delete(requestId);
+      pruned.push({ requestId, job });
+    }
+
+    if (pruned.length > 0) {
+      this.save();
+    }
+    return pruned;
+  }
+
+  flush() {}
+
+  // Jobs still marked in-flight at boot were cut off by a crash or deploy
+  recoverInterruptedJobs() {
+    const recovered = [];
+
+    for (const [requestId, job] of this.jobs.entries()) {
+      if (!IN_FLIGHT_STATUSES.includes(job.status)) continue;
+
+      job.status = 'interrupted';
+      job.resumable = this.hasInputs(job);
+      job.message = job.resumable
+        ? 'Generation was interrupted by a server restart and can be resumed'
+        : 'Generation was interrupted by a server restart';
+      job.interruptedAt = new Date();
+      job.interruptedProgress = job.progress;
+      recovered.push({ requestId, job });
+    }
+
+    if (recovered.length > 0) {
+      this.save();
+    }
+    return recovered;
+  }
+}
+
+// Progress updates arrive several times a second per job, so writes are batched: the whole map is
+// written at most once per saveDelayMs. Call flush() before exiting to keep the last updates
+class FileJobStore extends MemoryJobStore {
+  constructor(filePath, { saveDelayMs = 1000 } = {}) {
+    super();
+    this.filePath = filePath;
+    this.saveDelayMs = saveDelayMs;
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    const stored = readJsonFile(this.filePath, {});
+    for (const [requestId, job] of Object.entries(stored)) {
+      this.jobs.set(requestId, job);
+    }
+  }
+
+  save() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    writeJsonFile(this.filePath, Object.fromEntries(this.jobs));
+  }
+}
+
+const createJobStore = ({ driver = 'file', filePath, saveDelayMs } = {}) => {
+  if (driver === 'memory') {
+    return new MemoryJobStore();
+  }
+  if (driver === 'file') {
+    if (!filePath) {
+      throw new Error('filePath is required for the file job store');
+    }
+    return new FileJobStore(filePath, { saveDelayMs });
+  }
+  throw new Error(`Unknown job store driver: ${driver}`);
+};
+
+module.exports = { MemoryJobStore, FileJobStore, createJobStore };
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// Only a missing file falls back; an unreadable or corrupt one throws, since starting empty would
+// overwrite it with the next save
+const readJsonFile = (filePath, fallback) => {
+  let contents;
+  try {
+    contents = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+};
+
+// Write to a temp file and rename so a crash mid-write never leaves a truncated file behind
+const writeJsonFile = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+module.exports = { readJsonFile, writeJsonFile };
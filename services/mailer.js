@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class ConsoleTransport {
+  async send(message) {
+    console.log(`\n Email to ${message.to}: ${message.subject}\n${message.text}\n`);
+    return { id: crypto.randomUUID() };
+  }
+}
+
+// Writes each message as JSON so dev setups and tests can read the links back
+class FileTransport {
+  constructor({ directory }) {
+    if (!directory) {
+      throw new Error('directory is required for the file mail transport');
+    }
+    this.directory = directory;
+  }
+
+  async send(message) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const id = crypto.randomUUID();
+    const filePath = path.join(this.directory, `${Date.now()}-${id}.json`);
+    fs.writeFileSync(filePath, JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2));
+    return { id, filePath };
+  }
+}
+
+const transports = {
+  console: () => new ConsoleTransport(),
+  file: (options) => new FileTransport(options)
+};
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+class Mailer {
+  constructor(transport, { from }) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  send({ to, subject, text }) {
+    return this.transport.send({ from: this.from, to, subject, text });
+  }
+}
+
+const createMailer = ({ transport = 'console', from = 'TryFit AI <no-reply@tryfit.ai>', ...options } = {}) => {
+  const factory = transports[transport];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${transport}`);
+  }
+  return new Mailer(factory(options), { from });
+};
+
+module.exports = {
+  ConsoleTransport,
+  FileTransport,
+  Mailer,
+  registerTransport,
+  createMailer
+};
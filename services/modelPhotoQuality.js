@@ -0,0 +1,135 @@
+const sharp = require('sharp');
+
+const QUALITY_POLICIES = ['off', 'warn', 'block'];
+
+const DEFAULT_QUALITY_THRESHOLDS = {
+  minShortSide: 512,
+  minSharpness: 60,
+  minBrightness: 60,
+  maxBrightness: 200,
+  maxClipping: 0.75
+};
+
+// Measurements are taken on a greyscale copy of this size so scores don't depend on upload resolution.
+// Sharpness is measured after stretching contrast, so dark photos aren't also reported as blurry
+const ANALYSIS_SIZE = 512;
+
+// Variance of the 4-neighbour Laplacian: low values mean few edges, i.e. a blurry or out-of-focus photo
+const laplacianVariance = (pixels, width, height) => {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+};
+
+// Factor that stretches the 1st-99th percentile range to 0-255, applied to the Laplacian variance
+const contrastGain = (pixels) => {
+  const histogram = new Array(256).fill(0);
+  for (const value of pixels) histogram[value]++;
+
+  const percentile = (fraction) => {
+    let seen = 0;
+    for (let value = 0; value < 256; value++) {
+      seen += histogram[value];
+      if (seen >= pixels.length * fraction) return value;
+    }
+    return 255;
+  };
+
+  const range = Math.max(percentile(0.99) - percentile(0.01), 16);
+  return Math.pow(255 / range, 2);
+};
+
+const exposureStats = (pixels) => {
+  let total = 0;
+  let shadows = 0;
+  let highlights = 0;
+
+  for (const value of pixels) {
+    total += value;
+    if (value <= 10) shadows++;
+    if (value >= 245) highlights++;
+  }
+
+  return {
+    brightness: total / pixels.length,
+    shadowClipping: shadows / pixels.length,
+    highlightClipping: highlights / pixels.length
+  };
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// CPU-only pre-flight check of a model photo. Returns the measurements and a list of issues
+// ({ check, code, message }); an empty list means the photo looks usable for try-on.
+const analyzeModelPhoto = async (filePath, thresholds = {}) => {
+  const limits = { ...DEFAULT_QUALITY_THRESHOLDS, ...thresholds };
+  const metadata = await sharp(filePath).metadata();
+  const rotated = (metadata.orientation || 1) >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const { data, info } = await sharp(filePath)
+    .rotate()
+    .greyscale()
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const sharpness = laplacianVariance(data, info.width, info.height) * contrastGain(data);
+  const exposure = exposureStats(data);
+  const issues = [];
+  const addIssue = (check, code, message) => issues.push({ check, code, message });
+
+  if (Math.min(width, height) < limits.minShortSide) {
+    addIssue('resolution', 'LOW_RESOLUTION', `Photo is ${width}x${height}; use one at least ${limits.minShortSide} pixels on the short side`);
+  }
+
+  if (sharpness < limits.minSharpness) {
+    addIssue('sharpness', 'BLURRY', 'Photo looks blurry or out of focus');
+  }
+
+  if (exposure.brightness < limits.minBrightness || exposure.shadowClipping > limits.maxClipping) {
+    addIssue('exposure', 'UNDEREXPOSED', 'Photo is too dark');
+  } else if (exposure.brightness > limits.maxBrightness || exposure.highlightClipping > limits.maxClipping) {
+    addIssue('exposure', 'OVEREXPOSED', 'Photo is too bright or washed out');
+  }
+
+  // Try-on models expect an upright, portrait full-body shot
+  if (width > height) {
+    addIssue('framing', 'LANDSCAPE_FRAMING', 'Photo is landscape; use a portrait photo showing the full body');
+  }
+
+  return {
+    width,
+    height,
+    metrics: {
+      sharpness: round(sharpness, 1),
+      brightness: round(exposure.brightness, 1),
+      shadowClipping: round(exposure.shadowClipping, 3),
+      highlightClipping: round(exposure.highlightClipping, 3),
+      aspectRatio: round(width / height),
+      orientation: metadata.orientation || 1
+    },
+    issues
+  };
+};
+
+module.exports = {
+  QUALITY_POLICIES,
+  DEFAULT_QUALITY_THRESHOLDS,
+  analyzeModelPhoto
+};
@@ -0,0 +1,134 @@
+// Every try-on provider implements:
+//   name, type, capabilities: { garmentTypes, garmentCombinations, maxOutputs, models, defaultModel }
+//   virtualTryOn(modelImagePath, garments, { model, numOutputs, seed, signal }) -> results
+//   getImageBuffer(result) -> Buffer
+
+const GARMENT_ORDER = ['top', 'bottom', 'dress', 'outer'];
+
+// Every outfit a person can wear: one garment per slot, a dress replaces both top and bottom,
+// and outerwear layers over anything. Providers list the subset they can render.
+const GARMENT_COMBINATIONS = [
+  'top',
+  'bottom',
+  'dress',
+  'outer',
+  'top+bottom',
+  'top+outer',
+  'bottom+outer',
+  'dress+outer',
+  'top+bottom+outer'
+];
+
+// Canonical name of an outfit, e.g. [outer, top] -> 'top+outer'
+const garmentCombination = (garments) => garments
+  .map(garment => garment.type)
+  .sort((a, b) => GARMENT_ORDER.indexOf(a) - GARMENT_ORDER.indexOf(b))
+  .join('+');
+
+const combinationsFor = (garmentTypes) => GARMENT_COMBINATIONS.filter(combination => (
+  combination.split('+').every(type => garmentTypes.includes(type))
+));
+
+class UnknownProviderError extends Error {
+  constructor(name) {
+    super(`Unknown try-on provider: ${name}`);
+    this.name = 'UnknownProviderError';
+  }
+}
+
+class ProviderRegistry {
+  constructor() {
+    this.factories = new Map();
+    this.providers = new Map();
+    this.defaultName = null;
+  }
+
+  registerType(type, factory) {
+    this.factories.set(type, factory);
+  }
+
+  register(name, provider, { isDefault = false } = {}) {
+    provider.name = name;
+    this.providers.set(name, provider);
+    if (isDefault || !this.defaultName) {
+      this.defaultName = name;
+    }
+    return provider;
+  }
+
+  // Builds providers from config entries like { name, type, default, ...options }
+  configure(configs) {
+    for (const config of configs) {
+      const factory = this.factories.get(config.type);
+      if (!factory) {
+        throw new Error(`Unknown try-on provider type "${config.type}" for provider "${config.name}"`);
+      }
+      const provider = factory(config);
+      provider.type = config.type;
+      this.register(config.name || config.type, provider, { isDefault: Boolean(config.default) });
+    }
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    const provider = this.providers.get(name || this.defaultName);
+    if (!provider) {
+      throw new UnknownProviderError(name || this.defaultName);
+    }
+    return provider;
+  }
+
+  getDefault() {
+    return this.get(this.defaultName);
+  }
+
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      type: provider.type,
+      default: provider.name === this.defaultName,
+      capabilities: provider.capabilities
+    }));
+  }
+}
+
+// Returns an error message when the request does not fit the provider, otherwise null
+const checkCapabilities = (provider, { model, garments, numOutputs }) => {
+  const { garmentTypes = [], maxOutputs = 1, models = [] } = provider.capabilities || {};
+  const garmentCombinations = (provider.capabilities && provider.capabilities.garmentCombinations) || combinationsFor(garmentTypes);
+
+  if (model && models.length > 0 && !models.includes(model)) {
+    return `Model "${model}" is not available on provider "${provider.name}". Available models: ${models.join(', ')}`;
+  }
+
+  const unsupported = garments.filter(garment => !garmentTypes.includes(garment.type));
+  if (unsupported.length > 0) {
+    return `Provider "${provider.name}" does not support garment type(s): ${unsupported.map(garment => garment.type).join(', ')}`;
+  }
+
+  const combination = garmentCombination(garments);
+  if (!GARMENT_COMBINATIONS.includes(combination)) {
+    return `Garment combination "${combination}" is not possible: use at most one garment of each type, and a dress cannot be combined with a top or bottom`;
+  }
+  if (!garmentCombinations.includes(combination)) {
+    return `Provider "${provider.name}" does not support the garment combination "${combination}". Supported combinations: ${garmentCombinations.join(', ')}`;
+  }
+
+  if (numOutputs > maxOutputs) {
+    return `Provider "${provider.name}" can generate at most ${maxOutputs} output(s) per job`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  GARMENT_COMBINATIONS,
+  garmentCombination,
+  combinationsFor,
+  ProviderRegistry,
+  UnknownProviderError,
+  checkCapabilities
+};
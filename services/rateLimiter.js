@@ -0,0 +1,74 @@
+// Fixed-window counters kept in process memory. A shared store (e.g. Redis) only needs
+// the same two async methods: increment(key, windowMs) -> { count, resetAt } and reset(key).
+class MemoryRateLimitStore {
+  constructor({ cleanupIntervalMs = 60000 } = {}) {
+    this.windows = new Map();
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.windows.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, entry);
+    }
+
+    entry.count++;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.windows.entries()) {
+      if (entry.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+const createRateLimiter = ({
+  name,
+  windowMs,
+  max,
+  store,
+  keyGenerator = (req) => req.ip,
+  skip = () => false,
+  message = 'Too many requests, please try again later.'
+}) => {
+  if (!store) {
+    throw new Error('A rate limit store is required');
+  }
+
+  return async (req, res, next) => {
+    if (skip(req)) return next();
+
+    try {
+      const key = `${name}:${keyGenerator(req)}`;
+      const { count, resetAt } = await store.increment(key, windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ error: message, retryAfter: resetSeconds });
+      }
+
+      next();
+    } catch (error) {
+      // A broken limiter store should not take the API down with it
+      console.error(`Rate limiter ${name} failed:`, error.message);
+      next();
+    }
+  };
+};
+
+module.exports = { MemoryRateLimitStore, createRateLimiter };
@@ -2,339 +2,444 @@ const Replicate = require('replicate');
 const axios = require('axios');
 const fs = require('fs');
 const { Readable } = require('stream');
+const { ResiliencePolicy, TimeoutError } = require('./resilience');
+const { classifyError } = require('./errors');
+
+const DEFAULT_MODEL = 'omnious/vella-1.5';
+const TERMINAL_PREDICTION_STATUSES = ['succeeded', 'failed', 'canceled'];
+
+const GARMENT_PARAMETERS = {
+  top: 'top_image',
+  bottom: 'bottom_image',
+  dress: 'dress_image',
+  outer: 'outer_image'
+};
+
+// Vella needs the garment combination spelled out in garment_type
+const determineGarmentType = (garments) => {
+  const hasTop = garments.some(g => g.type === 'top');
+  const hasBottom = garments.some(g => g.type === 'bottom');
+  const hasDress = garments.some(g => g.type === 'dress');
+  const hasOuter = garments.some(g => g.type === 'outer');
+
+  if (hasDress) {
+    return 'dress';
+  } else if (hasTop && hasBottom) {
+    return 'top_bottom';
+  } else if (hasTop && hasOuter) {
+    return 'top_outer';
+  } else if (hasTop) {
+    return 'top';
+  } else if (hasBottom) {
+    return 'bottom';
+  } else if (hasOuter) {
+    return 'outer';
+  }
+  return 'top';
+};
+
+const streamToBuffer = async (stream) => {
+  // Replicate's FileOutput is a web ReadableStream; older clients hand back Node streams
+  const nodeStream = stream instanceof Readable || typeof stream.pipe === 'function'
+    ? stream
+    : Readable.fromWeb(stream);
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    nodeStream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+    nodeStream.on('error', reject);
+    nodeStream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+};
+
+// Cog models print tqdm-style bars ("45%|████▌     | 9/20"); the last one is the current step
+const parseLogProgress = (logs) => {
+  const matches = String(logs || '').match(/(\d{1,3})%\|/g);
+  if (!matches) return null;
+  return Math.min(100, parseInt(matches[matches.length - 1])) / 100;
+};
+
+// Maps a prediction onto the fraction of model work done and a message for the job
+const describePrediction = (prediction) => {
+  if (prediction.status === 'starting') {
+    return { fraction: 0, message: 'Waiting for a Vella AI worker to start...' };
+  }
+  if (prediction.status === 'processing') {
+    const fraction = parseLogProgress(prediction.logs);
+    return fraction === null
+      ? { fraction: 0.05, message: 'Vella AI is generating...' }
+      : { fraction, message: `Vella AI is generating (${Math.round(fraction * 100)}%)...` };
+  }
+  return { fraction: 1, message: 'Vella AI finished generating' };
+};
+
+const isStream = (item) => item instanceof Readable
+  || typeof item.pipe === 'function'
+  || typeof item.getReader === 'function';
 
 class ReplicateVellaService {
-  constructor() {
-    this.apiToken = process.env.REPLICATE_API_TOKEN;
-    
-    if (!this.apiToken) {
+  // version pins the default model (REPLICATE_VELLA_VERSION); other entries in models may carry their own ":version"
+  constructor({
+    apiToken = process.env.REPLICATE_API_TOKEN,
+    model = process.env.REPLICATE_VELLA_MODEL || DEFAULT_MODEL,
+    version = process.env.REPLICATE_VELLA_VERSION,
+    models,
+    maxOutputs = 4,
+    imageProfile,
+    webhookUrl,
+    pollIntervalMs,
+    predictionTimeoutMs = 10 * 60 * 1000,
+    downloadTimeoutMs = 30000,
+    resilience,
+    replicate
+  } = {}) {
+    this.apiToken = apiToken;
+
+    if (!this.apiToken && !replicate) {
       throw new Error('REPLICATE_API_TOKEN is required');
     }
-    
-    this.replicate = new Replicate({
+
+    this.replicate = replicate || new Replicate({
       auth: this.apiToken,
     });
-    
-    this.model = "omnious/vella-1.5:75mnw301jnrmc0csvzfb72wzpc";
+
+    this.model = model;
+    this.version = version || null;
+    // With webhooks configured polling is only a fallback for missed deliveries
+    this.webhookUrl = webhookUrl || null;
+    this.pollIntervalMs = pollIntervalMs || (this.webhookUrl ? 15000 : 2000);
+    this.waiters = new Map();
+    this.predictionTimeoutMs = predictionTimeoutMs;
+    this.downloadTimeoutMs = downloadTimeoutMs;
+    this.resilience = resilience || new ResiliencePolicy({ name: 'replicate' });
+    this.capabilities = {
+      garmentTypes: Object.keys(GARMENT_PARAMETERS),
+      // The outfits Vella's garment_type can describe
+      garmentCombinations: ['top', 'bottom', 'dress', 'outer', 'top+bottom', 'top+outer'],
+      maxOutputs,
+      models: models || [model],
+      defaultModel: model,
+      imageProfile: imageProfile || null
+    };
   }
 
-  async prepareImage(imagePath, type = 'model') {
+  getModelRef(model = this.model) {
+    if (model === this.model && this.version && !model.includes(':')) {
+      return `${model}:${this.version}`;
+    }
+    return model;
+  }
+
+  async prepareImage(imagePath) {
     try {
-      const imageBuffer = fs.readFileSync(imagePath);
-      return imageBuffer;
+      return fs.readFileSync(imagePath);
     } catch (error) {
       throw new Error(`Image preparation failed: ${error.message}`);
     }
   }
 
   getGarmentParameter(garmentType) {
-    const garmentParams = {
-      top: 'top_image',
-      bottom: 'bottom_image',
-      dress: 'dress_image',
-      outer: 'outer_image'
+    return GARMENT_PARAMETERS[garmentType] || 'top_image';
+  }
+
+  async buildInput(modelImagePath, garments, options = {}) {
+    const input = {
+      model_image: await this.prepareImage(modelImagePath),
+      garment_type: determineGarmentType(garments),
+      num_outputs: options.numOutputs || 1,
+      seed: options.seed || Math.floor(Math.random() * 1000000),
     };
-    
-    return garmentParams[garmentType] || 'top_image';
+
+    for (const garment of garments) {
+      input[this.getGarmentParameter(garment.type)] = await this.prepareImage(garment.imagePath);
+    }
+
+    return input;
+  }
+
+  async createPrediction(modelImagePath, garments, options = {}) {
+    const input = await this.buildInput(modelImagePath, garments, options);
+    const [model, version] = this.getModelRef(options.model).split(':');
+    const request = version ? { version, input } : { model, input };
+
+    if (this.webhookUrl) {
+      request.webhook = this.webhookUrl;
+      request.webhook_events_filter = ['start', 'logs', 'completed'];
+    }
+
+    // Not retried on timeouts or 5xx: the prediction may already exist. The request itself is never
+    // aborted, since that would lose the id of a prediction Replicate already started; one that shows up
+    // after we gave up on it is cancelled instead so it doesn't run (and bill) without anyone waiting for it
+    let pending;
+    let prediction;
+    try {
+      prediction = await this.resilience.run(
+        () => (pending = this.replicate.predictions.create(request)),
+        { label: 'Creating the Replicate prediction', signal: options.signal, idempotent: false }
+      );
+    } catch (error) {
+      if (error instanceof TimeoutError && pending) {
+        pending.then(late => this.cancelPrediction(late.id), () => {});
+      }
+      throw error;
+    }
+
+    if (options.signal && options.signal.aborted) {
+      await this.cancelPrediction(prediction.id);
+      throw new Error('Generation cancelled');
+    }
+    return prediction;
   }
 
-  determineGarmentType(garments) {
-    const hasTop = garments.some(g => g.type === 'top');
-    const hasBottom = garments.some(g => g.type === 'bottom');
-    const hasDress = garments.some(g => g.type === 'dress');
-    const hasOuter = garments.some(g => g.type === 'outer');
-    if (hasDress) {
-      return 'dress';
-    } else if (hasTop && hasBottom) {
-      return 'top_bottom';
-    } else if (hasTop && hasOuter) {
-      return 'top_outer';
-    } else if (hasTop) {
-      return 'top';
-    } else if (hasBottom) {
-      return 'bottom';
-    } else if (hasOuter) {
-      return 'outer';
-    } else {
-      return 'top';
+  async cancelPrediction(predictionId) {
+    try {
+      await this.replicate.predictions.cancel(predictionId);
+    } catch (error) {
     }
   }
 
-  async streamToBuffer(stream) {
-    return new Promise((resolve, reject) => {
-      const chunks = [];
-      stream.on('data', (chunk) => chunks.push(chunk));
-      stream.on('error', reject);
-      stream.on('end', () => resolve(Buffer.concat(chunks)));
-    });
+  // Receives prediction bodies from Replicate webhooks; returns false when nothing is waiting on it
+  handlePredictionUpdate(prediction) {
+    const waiter = prediction && this.waiters.get(prediction.id);
+    if (!waiter) return false;
+
+    waiter.latest = prediction;
+    waiter.wake();
+    return true;
+  }
+
+  async waitForPrediction(predictionId, { signal, onUpdate } = {}) {
+    const waiter = { latest: null, wake: () => {} };
+    const onAbort = () => waiter.wake();
+    this.waiters.set(predictionId, waiter);
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    try {
+      let lastStatus = null;
+      let lastLogs = null;
+      const deadline = Date.now() + this.predictionTimeoutMs;
+
+      while (true) {
+        if (signal && signal.aborted) {
+          await this.cancelPrediction(predictionId);
+          throw new Error('Generation cancelled');
+        }
+
+        if (Date.now() > deadline) {
+          await this.cancelPrediction(predictionId);
+          throw new TimeoutError(`Prediction did not finish within ${Math.round(this.predictionTimeoutMs / 1000)}s`);
+        }
+
+        const pushed = waiter.latest;
+        const prediction = pushed || await this.resilience.run(
+          () => this.replicate.predictions.get(predictionId),
+          { label: 'Polling the Replicate prediction', signal }
+        );
+        // A webhook that arrived while polling is kept for the next round
+        if (waiter.latest === pushed) waiter.latest = null;
+
+        if (onUpdate && (prediction.status !== lastStatus || prediction.logs !== lastLogs)) {
+          lastStatus = prediction.status;
+          lastLogs = prediction.logs;
+          onUpdate(prediction);
+        }
+
+        if (TERMINAL_PREDICTION_STATUSES.includes(prediction.status)) {
+          return prediction;
+        }
+
+        if (!waiter.latest) {
+          await new Promise((resolve) => {
+            const timer = setTimeout(resolve, this.pollIntervalMs);
+            waiter.wake = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+        }
+      }
+    } finally {
+      this.waiters.delete(predictionId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
   }
 
+  // options.onPrediction gets the new prediction so its id can be stored; options.predictionId
+  // re-attaches to a prediction that is already running (e.g. after a server restart)
   async virtualTryOn(modelImagePath, garments, options = {}) {
     try {
-      console.log('Starting Vella 1.5 virtual try-on...');
-      console.log('Garments to process:', garments.map(g => ({ type: g.type, path: g.imagePath })));
-
-      const modelImageBuffer = await this.prepareImage(modelImagePath, 'model');
-      const garmentType = this.determineGarmentType(garments);
-      console.log(`Determined garment_type: ${garmentType} for garments: ${garments.map(g => g.type).join(', ')}`);
-      
-      const input = {
-        model_image: modelImageBuffer,
-        garment_type: garmentType,
-        num_outputs: options.numOutputs || 1,
-        seed: options.seed || Math.floor(Math.random() * 1000000),
-      };
-
-      for (const garment of garments) {
-        const garmentImageBuffer = await this.prepareImage(garment.imagePath, 'garment');
-        const garmentParam = this.getGarmentParameter(garment.type);
-        
-        console.log(`Setting garment parameter: ${garmentParam} for type: ${garment.type}`);
-        input[garmentParam] = garmentImageBuffer;
+      let predictionId = options.predictionId;
+
+      if (!predictionId) {
+        const created = await this.createPrediction(modelImagePath, garments, options);
+        predictionId = created.id;
+        if (options.onPrediction) options.onPrediction(created);
       }
 
-      console.log('Sending to Replicate Vella with parameters:', {
-        garmentTypes: garments.map(g => g.type),
-        garment_type: input.garment_type,
-        numOutputs: input.num_outputs,
-        garmentParams: Object.keys(input).filter(key => key.includes('_image'))
+      const prediction = await this.waitForPrediction(predictionId, {
+        signal: options.signal,
+        onUpdate: options.onProgress && ((update) => options.onProgress(describePrediction(update), update))
       });
 
-      console.log('Running Vella 1.5 model...');
-      const output = await this.replicate.run(this.model, { input });
+      if (prediction.status === 'canceled') {
+        throw new Error('Prediction was cancelled on Replicate');
+      }
+      if (prediction.status === 'failed') {
+        throw new Error(`Prediction failed: ${prediction.error}`);
+      }
 
-      console.log('Replicate API call completed');
-      console.log('Output received, type:', typeof output, Array.isArray(output) ? `array with ${output.length} items` : 'single item');
-      
-      return this.processReplicateOutput(output, options);
+      return this.processReplicateOutput(prediction.output);
 
     } catch (error) {
-      console.error('Replicate API error:', error);
-      
-      if (error.message?.includes('auth')) {
-        throw new Error('Invalid Replicate API token. Please check your REPLICATE_API_TOKEN.');
-      } else if (error.message?.includes('garment_type')) {
-        throw new Error('Garment type configuration error. Please ensure proper garment selection.');
-      } else if (error.message?.includes('size') || error.message?.includes('dimension')) {
-        throw new Error('Image size issue. Please try with different images.');
-      } else if (error.message?.includes('timeout')) {
-        throw new Error('Request timeout. Please try again.');
+      throw classifyError(error, { context: 'Replicate virtual try-on failed' });
+    }
+  }
+
+  async toResult(item, index) {
+    const result = { index, type: 'tryon_result', mimeType: 'image/png', provenance: 'real' };
+
+    if (typeof item === 'string') {
+      return { ...result, imageUrl: item };
+    }
+    if (!item || typeof item !== 'object') {
+      return null;
+    }
+
+    // FileOutput is both a stream and has url(); reading the stream also covers inline data: URLs
+    if (isStream(item)) {
+      return { ...result, imageBuffer: await streamToBuffer(item), isStream: true };
+    }
+
+    if (typeof item.url === 'function') {
+      try {
+        return { ...result, imageUrl: item.url().toString() };
+      } catch (urlError) {
       }
-      
-      throw new Error(`Virtual try-on failed: ${error.message}`);
+    } else if (typeof item.url === 'string') {
+      return { ...result, imageUrl: item.url };
     }
+
+    return null;
   }
 
-  async processReplicateOutput(output, options) {
+  async processReplicateOutput(output) {
     try {
-      console.log('🔧 Processing Replicate output...');
+      const items = Array.isArray(output) ? output : [output];
       const results = [];
 
-      if (Array.isArray(output)) {
-        console.log(`📸 Processing ${output.length} output items`);
-        for (let i = 0; i < output.length; i++) {
-          const item = output[i];
-          console.log(`Item ${i} type:`, typeof item, item?.constructor?.name);
-
-          if (item instanceof Readable) {
-            console.log(`🔄 Converting stream ${i} to buffer...`);
-            const imageBuffer = await this.streamToBuffer(item);
-            results.push({ 
-              imageBuffer, 
-              index: i, 
-              type: 'tryon_result', 
-              mimeType: 'image/png', 
-              isStream: true 
-            });
-
-          } else if (typeof item === 'string') {
-            console.log(`🔗 Found URL string ${i}: ${item}`);
-            results.push({ 
-              imageUrl: item, 
-              index: i, 
-              type: 'tryon_result', 
-              mimeType: 'image/png' 
-            });
-
-          } else if (item && typeof item === 'object') {
-            if (typeof item.url === 'function') {
-              try {
-                const resolvedUrl = item.url();
-                console.log(`🔗 Found FileOutput URL ${i}:`, resolvedUrl);
-                results.push({ 
-                  imageUrl: resolvedUrl,
-                  index: i, 
-                  type: 'tryon_result', 
-                  mimeType: 'image/png' 
-                });
-              } catch (urlError) {
-                console.error(`Failed to resolve URL for item ${i}:`, urlError);
-              }
-            } else if (item.url && typeof item.url === 'string') {
-              console.log(`🔗 Found object URL ${i}: ${item.url}`);
-              results.push({ 
-                imageUrl: item.url, 
-                index: i, 
-                type: 'tryon_result', 
-                mimeType: 'image/png' 
-              });
-            } else {
-              console.warn(`❓ Unknown object format at index ${i}:`, Object.keys(item));
-            }
-          } else {
-            console.warn(`❓ Unknown output type at index ${i}:`, typeof item);
-          }
-        }
-
-      } else if (typeof output === 'string') {
-        console.log(`🔗 Found single URL: ${output}`);
-        results.push({ 
-          imageUrl: output, 
-          index: 0, 
-          type: 'tryon_result', 
-          mimeType: 'image/png' 
-        });
-
-      } else if (output && typeof output === 'object') {
-        if (typeof output.url === 'function') {
-          try {
-            const resolvedUrl = output.url();
-            console.log(`🔗 Found single FileOutput URL:`, resolvedUrl);
-            results.push({ 
-              imageUrl: resolvedUrl, 
-              index: 0, 
-              type: 'tryon_result', 
-              mimeType: 'image/png' 
-            });
-          } catch (urlError) {
-            console.error('Failed to resolve single FileOutput URL:', urlError);
-          }
-        } else if (output.url && typeof output.url === 'string') {
-          console.log(`🔗 Found single object URL: ${output.url}`);
-          results.push({ 
-            imageUrl: output.url, 
-            index: 0, 
-            type: 'tryon_result', 
-            mimeType: 'image/png' 
-          });
-        } else {
-          console.warn('❓ Unknown single object format:', Object.keys(output));
-        }
+      for (let i = 0; i < items.length; i++) {
+        const result = await this.toResult(items[i], i);
+        if (result) results.push(result);
       }
 
       if (results.length === 0) {
-        console.warn('No valid results processed, creating mock results');
         return this.createMockResults();
       }
 
-      console.log(`Successfully processed ${results.length} results`);
       return results;
 
     } catch (error) {
-      console.error('Output processing error:', error);
       throw new Error(`Failed to process results: ${error.message}`);
     }
   }
 
+  // Download failures fail the job; a placeholder is only returned for explicit mock:// results
   async getImageBuffer(result) {
     try {
       if (result.imageBuffer) {
-        console.log('📦 Using existing image buffer');
         return result.imageBuffer;
       }
 
       let imageUrl = result.imageUrl;
 
       if (typeof imageUrl === 'function') {
-        console.log('Converting FileOutput function to URL...');
         imageUrl = imageUrl();
       }
 
       if (typeof imageUrl !== 'string') {
-        console.error('Invalid image URL type:', typeof imageUrl, imageUrl);
         throw new Error(`Invalid image URL type: ${typeof imageUrl}`);
       }
 
       if (imageUrl.startsWith('mock://')) {
-        console.log('🎭 Using mock image');
         return this.createMockImageBuffer();
       }
 
-      console.log('Downloading image from:', imageUrl);
+      const dataUri = /^data:[^;]+;base64,(.*)$/.exec(imageUrl);
+      if (dataUri) {
+        return Buffer.from(dataUri[1], 'base64');
+      }
 
-      const response = await axios.get(imageUrl, {
+      const response = await this.resilience.run(() => axios.get(imageUrl, {
         responseType: 'arraybuffer',
-        timeout: 30000,
-        headers: { 
+        timeout: this.downloadTimeoutMs,
+        headers: {
           'User-Agent': 'VirtualTryOn-App/1.0',
           'Accept': 'image/*'
         }
-      });
+      }), { label: 'Downloading the result image', timeoutMs: this.downloadTimeoutMs });
 
-      if (!response.data) {
+      if (!response.data || response.data.length === 0) {
         throw new Error('Empty response from image URL');
       }
 
-      console.log('Image downloaded successfully');
       return Buffer.from(response.data, 'binary');
 
     } catch (error) {
-      console.error('Image download failed:', error.message);
-      return this.createMockImageBuffer();
+      throw classifyError(error, { defaultCode: 'PROVIDER_UNAVAILABLE', context: 'Failed to download result image' });
     }
   }
 
+  // Placeholder for a prediction that succeeded without usable output; strict mode fails the job instead
   createMockResults() {
-    console.log('Creating mock results for testing');
-    
     return [{
       imageUrl: 'mock://tryon-result-1',
       index: 0,
       type: 'tryon_result',
       mimeType: 'image/png',
-      isMock: true
+      isMock: true,
+      provenance: 'fallback'
     }];
   }
 
   async createMockImageBuffer() {
-    try {
-      const { createCanvas } = require('canvas');
-      const canvas = createCanvas(512, 640);
-      const ctx = canvas.getContext('2d');
-      
-      const gradient = ctx.createLinearGradient(0, 0, 512, 640);
-      gradient.addColorStop(0, '#4F46E5');
-      gradient.addColorStop(1, '#7C3AED');
-      ctx.fillStyle = gradient;
-      ctx.fillRect(0, 0, 512, 640);
-      
-      ctx.fillStyle = '#FFFFFF';
-      ctx.font = 'bold 28px Arial';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText('Vella AI Try-On', 256, 200);
-      
-      ctx.font = '18px Arial';
-      ctx.fillText('Professional Virtual Try-On', 256, 240);
-      
-      ctx.font = '16px Arial';
-      ctx.fillStyle = '#E5E7EB';
-      ctx.fillText('Powered by Replicate Vella 1.5', 256, 280);
-      
-      ctx.strokeStyle = '#FFFFFF';
-      ctx.lineWidth = 3;
-      ctx.strokeRect(100, 320, 312, 200);
-      
-      ctx.font = '14px Arial';
-      ctx.fillStyle = '#FFFFFF';
-      ctx.fillText('AI-Generated Result', 256, 420);
-      
-      return canvas.toBuffer('image/png');
-    } catch (error) {
-      console.error('Mock image creation failed:', error);
-      return Buffer.from([]);
-    }
+    const { createCanvas } = require('canvas');
+    const canvas = createCanvas(512, 640);
+    const ctx = canvas.getContext('2d');
+
+    const gradient = ctx.createLinearGradient(0, 0, 512, 640);
+    gradient.addColorStop(0, '#4F46E5');
+    gradient.addColorStop(1, '#7C3AED');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 512, 640);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 28px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Vella AI Try-On', 256, 200);
+
+    ctx.font = '18px Arial';
+    ctx.fillText('Professional Virtual Try-On', 256, 240);
+
+    ctx.font = '16px Arial';
+    ctx.fillStyle = '#E5E7EB';
+    ctx.fillText('Powered by Replicate Vella 1.5', 256, 280);
+
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(100, 320, 312, 200);
+
+    ctx.font = '14px Arial';
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillText('AI-Generated Result', 256, 420);
+
+    return canvas.toBuffer('image/png');
   }
 }
 
-module.exports = ReplicateVellaService;
\ No newline at end of file
+module.exports = {
+  ReplicateVellaService,
+  determineGarmentType,
+  describePrediction,
+  streamToBuffer
+};
@@ -0,0 +1,180 @@
+class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAfterSeconds) {
+    super(`Provider "${name}" is temporarily unavailable after repeated failures. Try again in ${retryAfterSeconds}s.`);
+    this.name = 'CircuitOpenError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+
+// Network failures, timeouts, 429 and 5xx are worth another attempt; anything else is the caller's problem
+const isRetryableError = (error) => {
+  if (!error) return false;
+  if (error.name === 'TimeoutError') return true;
+  if (RETRYABLE_NETWORK_CODES.includes(error.code)) return true;
+
+  // axios puts the status on error.response.status, Replicate's ApiError on its fetch Response
+  const status = error.response && error.response.status;
+  if (status) return status === 429 || status >= 500;
+
+  return /fetch failed|socket hang up|network/i.test(error.message || '');
+};
+
+// Failures that prove the request was never acted on: the connection was never made, or the provider
+// turned it away before doing any work. Timeouts, resets and 5xx may come after the work has started.
+const NOT_SENT_NETWORK_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENETUNREACH'];
+
+const isSafeToResend = (error) => {
+  if (!error) return false;
+  if (NOT_SENT_NETWORK_CODES.includes(error.code)) return true;
+  const status = error.response && error.response.status;
+  return status === 429;
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) return reject(new Error('Generation cancelled'));
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new Error('Generation cancelled'));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+const withTimeout = (promise, timeoutMs, message) => {
+  if (!timeoutMs) return promise;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(message || `Timed out after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+class CircuitBreaker {
+  constructor({ name, failureThreshold = 5, resetTimeoutMs = 60000 }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  // After resetTimeoutMs an open breaker lets calls through again (half-open); the next result decides
+  canAttempt() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+    return this.state !== 'open';
+  }
+
+  retryAfterSeconds() {
+    if (this.state !== 'open') return 0;
+    return Math.max(1, Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000));
+  }
+
+  check() {
+    if (!this.canAttempt()) {
+      throw new CircuitOpenError(this.name, this.retryAfterSeconds());
+    }
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.failures += 1;
+    this.lastError = error.message;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  status() {
+    this.canAttempt();
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAfterSeconds: this.retryAfterSeconds(),
+      lastError: this.lastError
+    };
+  }
+}
+
+// Wraps individual provider calls with a timeout, retries with exponential backoff and a shared circuit breaker.
+// Calls that create something (idempotent: false) are only retried when the request cannot have been acted on,
+// since the timeout does not abort fn and a retried create could run, and bill, twice
+class ResiliencePolicy {
+  constructor({ name, retries = 3, baseDelayMs = 1000, maxDelayMs = 30000, timeoutMs = 60000, failureThreshold, resetTimeoutMs } = {}) {
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.breaker = new CircuitBreaker({ name, failureThreshold, resetTimeoutMs });
+  }
+
+  isAvailable() {
+    return this.breaker.canAttempt();
+  }
+
+  async run(fn, { label = 'Provider call', signal, timeoutMs = this.timeoutMs, idempotent = true } = {}) {
+    this.breaker.check();
+
+    const maxAttempts = this.retries + 1;
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const result = await withTimeout(fn(), timeoutMs, `${label} timed out after ${Math.round(timeoutMs / 1000)}s`);
+        this.breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (signal && signal.aborted) throw error;
+        if (!isRetryableError(error)) throw error;
+        if (!idempotent && !isSafeToResend(error)) break;
+
+        if (attempt < maxAttempts) {
+          const delayMs = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+          await sleep(Math.round(delayMs * (0.8 + Math.random() * 0.4)), signal);
+        }
+      }
+    }
+
+    this.breaker.recordFailure(lastError);
+    throw lastError;
+  }
+
+  status() {
+    return this.breaker.status();
+  }
+}
+
+module.exports = {
+  TimeoutError,
+  CircuitOpenError,
+  CircuitBreaker,
+  ResiliencePolicy,
+  isRetryableError,
+  isSafeToResend,
+  withTimeout,
+  sleep
+};
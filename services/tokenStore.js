@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+class InvalidRefreshTokenError extends Error {
+  constructor(message = 'Invalid or expired refresh token') {
+    super(message);
+    this.name = 'InvalidRefreshTokenError';
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class MemoryTokenStore {
+  constructor({ refreshTokenTtlMs = 30 * 24 * 60 * 60 * 1000 } = {}) {
+    this.refreshTokenTtlMs = refreshTokenTtlMs;
+    this.refreshTokens = {};
+    this.families = {};
+    this.deniedAccessTokens = {};
+    this.userRevocations = {};
+  }
+
+  issueRefreshToken(userId, familyId = crypto.randomUUID()) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const now = Date.now();
+
+    if (!this.families[familyId]) {
+      this.families[familyId] = { userId, createdAt: now, revokedAt: null };
+    }
+
+    this.refreshTokens[hashToken(token)] = {
+      userId,
+      familyId,
+      createdAt: now,
+      expiresAt: now + this.refreshTokenTtlMs,
+      usedAt: null
+    };
+    this.save();
+    return token;
+  }
+
+  // Single use: each refresh consumes the token and hands out the next one in the same family.
+  // Presenting an already-used token means it leaked, so the whole family is revoked.
+  rotateRefreshToken(token) {
+    const record = this.refreshTokens[hashToken(token)];
+    if (!record) {
+      throw new InvalidRefreshTokenError();
+    }
+
+    const family = this.families[record.familyId];
+    if (!family || family.revokedAt) {
+      throw new InvalidRefreshTokenError('Refresh token has been revoked');
+    }
+
+    if (record.usedAt) {
+      this.revokeFamily(record.familyId);
+      throw new InvalidRefreshTokenError('Refresh token reuse detected; all sessions from this sign-in were revoked');
+    }
+
+    if (record.expiresAt <= Date.now()) {
+      throw new InvalidRefreshTokenError();
+    }
+
+    record.usedAt = Date.now();
+    const nextToken = this.issueRefreshToken(record.userId, record.familyId);
+    return { userId: record.userId, familyId: record.familyId, refreshToken: nextToken };
+  }
+
+  revokeFamily(familyId) {
+    const family = this.families[familyId];
+    if (family && !family.revokedAt) {
+      family.revokedAt = Date.now();
+      this.save();
+    }
+  }
+
+  revokeRefreshToken(token) {
+    const record = this.refreshTokens[hashToken(token)];
+    if (!record) return false;
+    this.revokeFamily(record.familyId);
+    return true;
+  }
+
+  // Kills every refresh family and every access token issued to the user before now
+  revokeAllForUser(userId) {
+    const now = Date.now();
+    for (const family of Object.values(this.families)) {
+      if (family.userId === userId && !family.revokedAt) {
+        family.revokedAt = now;
+      }
+    }
+    this.userRevocations[userId] = now;
+    this.save();
+  }
+
+  denyAccessToken(jti, expiresAtSeconds) {
+    if (!jti) return;
+    this.deniedAccessTokens[jti] = expiresAtSeconds * 1000;
+    this.save();
+  }
+
+  // iat only has second precision, so tokens also carry issuedAtMs to survive a revocation in the same second
+  isAccessTokenRevoked({ jti, userId, iat, issuedAtMs }) {
+    if (jti && this.deniedAccessTokens[jti]) {
+      return true;
+    }
+    const revokedAt = this.userRevocations[userId];
+    const issuedAt = issuedAtMs || (iat ? iat * 1000 : 0);
+    return Boolean(revokedAt && issuedAt < revokedAt);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [hash, record] of Object.entries(this.refreshTokens)) {
+      if (record.expiresAt <= now) delete this.refreshTokens[hash];
+    }
+    const liveFamilies = new Set(Object.values(this.refreshTokens).map(r => r.familyId));
+    for (const familyId of Object.keys(this.families)) {
+      if (!liveFamilies.has(familyId)) delete this.families[familyId];
+    }
+    for (const [jti, expiresAt] of Object.entries(this.deniedAccessTokens)) {
+      if (expiresAt <= now) delete this.deniedAccessTokens[jti];
+    }
+  }
+
+  save() {}
+}
+
+class FileTokenStore extends MemoryTokenStore {
+  constructor(filePath, options) {
+    super(options);
+    this.filePath = filePath;
+    this.load();
+  }
+
+  load() {
+    const stored = readJsonFile(this.filePath, {});
+    this.refreshTokens = stored.refreshTokens || {};
+    this.families = stored.families || {};
+    this.deniedAccessTokens = stored.deniedAccessTokens || {};
+    this.userRevocations = stored.userRevocations || {};
+    this.prune();
+  }
+
+  save() {
+    this.prune();
+    writeJsonFile(this.filePath, {
+      refreshTokens: this.refreshTokens,
+      families: this.families,
+      deniedAccessTokens: this.deniedAccessTokens,
+      userRevocations: this.userRevocations
+    });
+  }
+}
+
+const createTokenStore = ({ driver = 'file', filePath, ...options } = {}) => {
+  if (driver === 'memory') {
+    return new MemoryTokenStore(options);
+  }
+  if (driver === 'file') {
+    if (!filePath) {
+      throw new Error('filePath is required for the file token store');
+    }
+    return new FileTokenStore(filePath, options);
+  }
+  throw new Error(`Unknown token store driver: ${driver}`);
+};
+
+module.exports = {
+  MemoryTokenStore,
+  FileTokenStore,
+  InvalidRefreshTokenError,
+  createTokenStore
+};
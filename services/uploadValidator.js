@@ -0,0 +1,143 @@
+const fs = require('fs');
+const sharp = require('sharp');
+
+const DEFAULT_UPLOAD_LIMITS = {
+  minDimension: 256,
+  maxAspectRatio: 4,
+  maxPixels: 40 * 1000 * 1000
+};
+
+// Formats are identified by their leading bytes; the client-supplied mimetype and extension are ignored
+const FORMAT_EXTENSIONS = { jpeg: '.jpg', png: '.png', webp: '.webp', gif: '.gif' };
+
+const SIGNATURES = [
+  { format: 'jpeg', matches: (header) => header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff },
+  { format: 'png', matches: (header) => header.toString('hex', 0, 8) === '89504e470d0a1a0a' },
+  { format: 'webp', matches: (header) => header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP' },
+  { format: 'gif', matches: (header) => /^GIF8[79]a$/.test(header.toString('ascii', 0, 6)) }
+];
+
+class UploadValidationError extends Error {
+  constructor(field, code, message) {
+    super(message);
+    this.name = 'UploadValidationError';
+    this.field = field;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { field: this.field, code: this.code, message: this.message };
+  }
+}
+
+const readHeader = (filePath) => {
+  const header = Buffer.alloc(16);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+const sniffImageFormat = (filePath) => {
+  const header = readHeader(filePath);
+  const signature = SIGNATURES.find(candidate => candidate.matches(header));
+  return signature ? signature.format : null;
+};
+
+// Checks what the file actually contains and decodes every pixel, so truncated or corrupt images are caught here
+// rather than by the provider. Resolves to { format, width, height } or throws an UploadValidationError.
+const validateImageFile = async (filePath, { field, limits = {} } = {}) => {
+  const { minDimension, maxAspectRatio, maxPixels } = { ...DEFAULT_UPLOAD_LIMITS, ...limits };
+  const reject = (code, message) => new UploadValidationError(field, code, message);
+
+  const format = sniffImageFormat(filePath);
+  if (!format) {
+    throw reject('UNSUPPORTED_FORMAT', 'File is not a JPEG, PNG, WebP or GIF image');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(filePath).metadata();
+  } catch (error) {
+    throw reject('CORRUPT_IMAGE', `Image could not be read: ${error.message}`);
+  }
+
+  if (!metadata.width || !metadata.height) {
+    throw reject('CORRUPT_IMAGE', 'Image has no dimensions');
+  }
+
+  // Checked from the header alone so a small file that expands to a huge bitmap is never decoded
+  if (metadata.width * metadata.height > maxPixels) {
+    throw reject('IMAGE_TOO_LARGE', `Image is ${metadata.width}x${metadata.height} pixels; the limit is ${Math.round(maxPixels / 1e6)} megapixels`);
+  }
+
+  if ((metadata.pages || 1) > 1) {
+    throw reject('ANIMATED_IMAGE', 'Animated images are not supported');
+  }
+
+  const shortSide = Math.min(metadata.width, metadata.height);
+  const longSide = Math.max(metadata.width, metadata.height);
+  if (shortSide < minDimension) {
+    throw reject('IMAGE_TOO_SMALL', `Image is ${metadata.width}x${metadata.height} pixels; both sides must be at least ${minDimension} pixels`);
+  }
+  if (longSide / shortSide > maxAspectRatio) {
+    throw reject('EXTREME_ASPECT_RATIO', `Image is ${metadata.width}x${metadata.height} pixels; the long side may be at most ${maxAspectRatio} times the short side`);
+  }
+
+  try {
+    await sharp(filePath, { failOn: 'truncated', limitInputPixels: maxPixels }).stats();
+  } catch (error) {
+    throw reject('CORRUPT_IMAGE', `Image could not be decoded: ${error.message}`);
+  }
+
+  return { format, width: metadata.width, height: metadata.height };
+};
+
+// Validates every file multer accepted ({ field: [file] }) one at a time and returns the failures, one per field.
+// Valid files get their detected format recorded as file.format
+const validateUploadedFiles = async (files, limits) => {
+  const errors = [];
+
+  for (const [field, fieldFiles] of Object.entries(files || {})) {
+    for (const file of fieldFiles) {
+      try {
+        ({ format: file.format } = await validateImageFile(file.path, { field, limits }));
+      } catch (error) {
+        if (!(error instanceof UploadValidationError)) throw error;
+        errors.push(error.toJSON());
+        break;
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Uploads are stored without the client's extension; once validated each file is renamed to match what it
+// contains, so a file served from /uploads can never carry an extension (e.g. .html) chosen by the uploader
+const applyFormatExtensions = (files) => {
+  for (const fieldFiles of Object.values(files || {})) {
+    for (const file of fieldFiles) {
+      const extension = FORMAT_EXTENSIONS[file.format];
+      if (!extension) continue;
+
+      const renamedPath = file.path + extension;
+      fs.renameSync(file.path, renamedPath);
+      file.path = renamedPath;
+      file.filename += extension;
+      file.mimetype = `image/${file.format}`;
+    }
+  }
+};
+
+module.exports = {
+  DEFAULT_UPLOAD_LIMITS,
+  UploadValidationError,
+  sniffImageFormat,
+  validateImageFile,
+  validateUploadedFiles,
+  applyFormatExtensions
+};
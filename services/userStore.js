@@ -0,0 +1,386 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+class DuplicateEmailError extends Error {
+  constructor() {
+    super('User already exists with this email');
+    this.name = 'DuplicateEmailError';
+  }
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const LEGACY_MIGRATION = 'legacy-users-json';
+
+// Reads the flat users.json used before the user store existed
+const readLegacyUsers = (legacyPath) => {
+  const legacyUsers = readJsonFile(legacyPath, []);
+  return (Array.isArray(legacyUsers) ? legacyUsers : []).map(legacyUser => ({
+    ...legacyUser,
+    id: String(legacyUser.id || ''),
+    email: normalizeEmail(legacyUser.email)
+  }));
+};
+
+// Once imported, the legacy file is only a stale copy, so it is renamed out of the way rather than read
+// again. It is the only other copy of the accounts, so deleting it is left to the operator
+const retireLegacyFile = (legacyPath) => {
+  if (fs.existsSync(legacyPath)) {
+    fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+    console.log(` Moved ${legacyPath} to ${legacyPath}.migrated after importing it into the user store; delete it once the import is checked`);
+  }
+};
+
+class MemoryUserStore {
+  constructor() {
+    this.users = new Map();
+    this.emailIndex = new Map();
+    this.migrations = [];
+    this.pending = Promise.resolve();
+  }
+
+  // Mutations run one after another so concurrent requests cannot interleave a read-modify-write
+  transaction(fn) {
+    const run = this.pending.then(() => fn());
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async findById(id) {
+    const user = this.users.get(String(id));
+    return user ? { ...user } : null;
+  }
+
+  async findByEmail(email) {
+    const id = this.emailIndex.get(normalizeEmail(email));
+    return id ? this.findById(id) : null;
+  }
+
+  async list() {
+    return Array.from(this.users.values()).map(user => ({ ...user }));
+  }
+
+  async count() {
+    return this.users.size;
+  }
+
+  create(fields) {
+    return this.transaction(() => {
+      const email = normalizeEmail(fields.email);
+      if (this.emailIndex.has(email)) {
+        throw new DuplicateEmailError();
+      }
+
+      const now = new Date().toISOString();
+      const user = {
+        createdAt: now,
+        lastLogin: now,
+        ...fields,
+        id: crypto.randomUUID(),
+        email
+      };
+
+      this.insert(user);
+      this.save();
+      return { ...user };
+    });
+  }
+
+  // changes may be a function of the current record, for read-modify-write updates like counters
+  update(id, changesOrFn) {
+    return this.transaction(() => {
+      const existing = this.users.get(String(id));
+      if (!existing) return null;
+
+      const changes = typeof changesOrFn === 'function' ? changesOrFn({ ...existing }) : changesOrFn;
+      const updated = { ...existing, ...changes, id: existing.id };
+      if (changes.email !== undefined) {
+        updated.email = normalizeEmail(changes.email);
+        const ownerId = this.emailIndex.get(updated.email);
+        if (ownerId && ownerId !== existing.id) {
+          throw new DuplicateEmailError();
+        }
+        this.emailIndex.delete(existing.email);
+      }
+
+      this.insert(updated);
+      this.save();
+      return { ...updated };
+    });
+  }
+
+  touchLastLogin(id) {
+    return this.update(id, { lastLogin: new Date().toISOString() });
+  }
+
+  delete(id) {
+    return this.transaction(() => {
+      const existing = this.users.get(String(id));
+      if (!existing) return false;
+
+      this.users.delete(existing.id);
+      this.emailIndex.delete(existing.email);
+      this.save();
+      return true;
+    });
+  }
+
+  insert(user) {
+    this.users.set(user.id, user);
+    this.emailIndex.set(user.email, user.id);
+  }
+
+  save() {}
+
+  // The in-memory store forgets imported accounts on restart, so it keeps the legacy file
+  retireLegacyFile() {}
+
+  // Imports the flat users.json used before the user store existed; runs once per store
+  migrateLegacyFile(legacyPath) {
+    return this.transaction(() => {
+      if (this.migrations.includes(LEGACY_MIGRATION)) {
+        this.retireLegacyFile(legacyPath);
+        return { imported: 0, skipped: 0 };
+      }
+      if (!fs.existsSync(legacyPath)) {
+        return { imported: 0, skipped: 0 };
+      }
+
+      let imported = 0;
+      let skipped = 0;
+
+      for (const legacyUser of readLegacyUsers(legacyPath)) {
+        const { id, email } = legacyUser;
+        if (!email || !id || !legacyUser.password || this.emailIndex.has(email) || this.users.has(id)) {
+          skipped++;
+          continue;
+        }
+
+        this.insert(legacyUser);
+        imported++;
+      }
+
+      this.migrations.push(LEGACY_MIGRATION);
+      this.save();
+      this.retireLegacyFile(legacyPath);
+      return { imported, skipped };
+    });
+  }
+}
+
+// Rewrites the whole file on every change, including sign-ins; meant for development and small installs
+class FileUserStore extends MemoryUserStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.load();
+  }
+
+  load() {
+    const stored = readJsonFile(this.filePath, { users: [], migrations: [] });
+    this.migrations = stored.migrations || [];
+    for (const user of stored.users || []) {
+      this.insert(user);
+    }
+  }
+
+  save() {
+    writeJsonFile(this.filePath, {
+      migrations: this.migrations,
+      users: Array.from(this.users.values())
+    });
+  }
+
+  retireLegacyFile(legacyPath) {
+    retireLegacyFile(legacyPath);
+  }
+}
+
+// Fields with their own column; everything else on the account is kept as JSON in data
+const toRow = ({ id, email, lastLogin, ...data }) => ({
+  id,
+  email,
+  lastLogin: lastLogin || null,
+  data: JSON.stringify(data)
+});
+
+const fromRow = (row) => row
+  ? { ...JSON.parse(row.data), id: row.id, email: row.email, lastLogin: row.last_login }
+  : null;
+
+const isUniqueViolation = (error) => error && /^SQLITE_CONSTRAINT/.test(error.code || '');
+
+// Accounts in an SQLite database: each change writes only the affected row, the unique index on email
+// rejects duplicates even across processes, and sign-ins update last_login alone
+class SqliteUserStore {
+  constructor(filePath) {
+    // Loaded here so the memory and file stores work without the native module
+    const Database = require('better-sqlite3');
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        last_login TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS users_email ON users (email);
+      CREATE TABLE IF NOT EXISTS migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TEXT NOT NULL
+      );
+    `);
+
+    this.statements = {
+      findById: this.db.prepare('SELECT * FROM users WHERE id = ?'),
+      findByEmail: this.db.prepare('SELECT * FROM users WHERE email = ?'),
+      list: this.db.prepare('SELECT * FROM users'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM users'),
+      insert: this.db.prepare('INSERT INTO users (id, email, last_login, data) VALUES (@id, @email, @lastLogin, @data)'),
+      update: this.db.prepare('UPDATE users SET email = @email, last_login = @lastLogin, data = @data WHERE id = @id'),
+      touchLastLogin: this.db.prepare('UPDATE users SET last_login = ? WHERE id = ?'),
+      delete: this.db.prepare('DELETE FROM users WHERE id = ?'),
+      hasMigration: this.db.prepare('SELECT 1 FROM migrations WHERE name = ?'),
+      addMigration: this.db.prepare('INSERT INTO migrations (name, applied_at) VALUES (?, ?)')
+    };
+  }
+
+  async findById(id) {
+    return fromRow(this.statements.findById.get(String(id)));
+  }
+
+  async findByEmail(email) {
+    return fromRow(this.statements.findByEmail.get(normalizeEmail(email)));
+  }
+
+  async list() {
+    return this.statements.list.all().map(fromRow);
+  }
+
+  async count() {
+    return this.statements.count.get().count;
+  }
+
+  async create(fields) {
+    const now = new Date().toISOString();
+    const user = {
+      createdAt: now,
+      lastLogin: now,
+      ...fields,
+      id: crypto.randomUUID(),
+      email: normalizeEmail(fields.email)
+    };
+
+    try {
+      this.statements.insert.run(toRow(user));
+    } catch (error) {
+      if (isUniqueViolation(error)) throw new DuplicateEmailError();
+      throw error;
+    }
+    return user;
+  }
+
+  // changes may be a function of the current record; the read and the write share one transaction
+  async update(id, changesOrFn) {
+    const update = this.db.transaction(() => {
+      const existing = fromRow(this.statements.findById.get(String(id)));
+      if (!existing) return null;
+
+      const changes = typeof changesOrFn === 'function' ? changesOrFn({ ...existing }) : changesOrFn;
+      const updated = { ...existing, ...changes, id: existing.id };
+      if (changes.email !== undefined) {
+        updated.email = normalizeEmail(changes.email);
+      }
+
+      this.statements.update.run(toRow(updated));
+      return updated;
+    });
+
+    try {
+      return update();
+    } catch (error) {
+      if (isUniqueViolation(error)) throw new DuplicateEmailError();
+      throw error;
+    }
+  }
+
+  async touchLastLogin(id) {
+    this.statements.touchLastLogin.run(new Date().toISOString(), String(id));
+    return this.findById(id);
+  }
+
+  async delete(id) {
+    return this.statements.delete.run(String(id)).changes > 0;
+  }
+
+  async migrateLegacyFile(legacyPath) {
+    if (this.statements.hasMigration.get(LEGACY_MIGRATION)) {
+      retireLegacyFile(legacyPath);
+      return { imported: 0, skipped: 0 };
+    }
+    if (!fs.existsSync(legacyPath)) {
+      return { imported: 0, skipped: 0 };
+    }
+
+    const legacyUsers = readLegacyUsers(legacyPath);
+    const result = this.db.transaction(() => {
+      let imported = 0;
+      let skipped = 0;
+
+      for (const legacyUser of legacyUsers) {
+        const { id, email } = legacyUser;
+        if (!email || !id || !legacyUser.password
+          || this.statements.findByEmail.get(email) || this.statements.findById.get(id)) {
+          skipped++;
+          continue;
+        }
+
+        this.statements.insert.run(toRow(legacyUser));
+        imported++;
+      }
+
+      this.statements.addMigration.run(LEGACY_MIGRATION, new Date().toISOString());
+      return { imported, skipped };
+    })();
+
+    retireLegacyFile(legacyPath);
+    return result;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+const createUserStore = ({ driver = 'sqlite', filePath } = {}) => {
+  if (driver === 'memory') {
+    return new MemoryUserStore();
+  }
+  if (driver === 'sqlite') {
+    if (!filePath) {
+      throw new Error('filePath is required for the SQLite user store');
+    }
+    return new SqliteUserStore(filePath);
+  }
+  if (driver === 'file') {
+    if (!filePath) {
+      throw new Error('filePath is required for the file user store');
+    }
+    return new FileUserStore(filePath);
+  }
+  throw new Error(`Unknown user store driver: ${driver}`);
+};
+
+module.exports = {
+  MemoryUserStore,
+  FileUserStore,
+  SqliteUserStore,
+  DuplicateEmailError,
+  normalizeEmail,
+  createUserStore
+};
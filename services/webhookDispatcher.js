@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+// Receivers must be on the public internet; otherwise webhooks could be pointed at cloud metadata,
+// localhost or the internal network, and the delivery log would report what answered there
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+// reason is 'private' for a blocked address and 'unresolvable' when the host has no DNS entry
+class ReceiverAddressError extends Error {
+  constructor(reason = 'private') {
+    super(reason === 'unresolvable' ? 'Receiver host could not be resolved' : 'Receiver address is not allowed');
+    this.name = 'ReceiverAddressError';
+    this.reason = reason;
+  }
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges too
+const isPrivateAddress = (address) => BLOCKED_NETWORKS.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+// Resolves the receiver's host and throws a ReceiverAddressError unless every address it resolves to is public
+const checkReceiverUrl = async (value) => {
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new ReceiverAddressError('unresolvable');
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new ReceiverAddressError();
+  }
+};
+
+// dns.lookup replacement for the HTTP client, so a host that re-resolves to a private address
+// between the check and the connection is still refused
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new ReceiverAddressError());
+    }
+    callback(null, address, family);
+  });
+};
+
+// Only these reach the delivery log; raw network errors would tell the caller how the host responded
+const describeDeliveryError = (error) => {
+  if (error instanceof ReceiverAddressError) return error.message;
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'Receiver did not respond in time';
+  return 'Could not connect to the receiver';
+};
+
+// Receivers verify with HMAC-SHA256(secret, `${t}.${rawBody}`) and compare against v1
+const signPayload = (secret, timestamp, body) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+class WebhookDispatcher {
+  constructor({ store, maxAttempts = 6, baseDelayMs = 10000, timeoutMs = 10000, post = axios.post }) {
+    this.store = store;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.post = post;
+    this.timers = new Map();
+  }
+
+  dispatch({ userId, endpointId = null, url, event, requestId, payload }) {
+    const delivery = this.store.addDelivery({ userId, endpointId, url, event, requestId, payload });
+    this.schedule(delivery);
+    return delivery;
+  }
+
+  // Sends the same payload again as a new delivery, keeping the original in the log
+  redeliver(deliveryId) {
+    const original = this.store.getDelivery(deliveryId);
+    if (!original) return null;
+
+    return this.dispatch({
+      userId: original.userId,
+      endpointId: original.endpointId,
+      url: original.url,
+      event: original.event,
+      requestId: original.requestId,
+      payload: { ...original.payload, redelivery: true }
+    });
+  }
+
+  // Picks up deliveries that were still waiting for a retry when the server stopped
+  resumePending() {
+    const pending = this.store.pendingDeliveries();
+    pending.forEach(delivery => this.schedule(delivery));
+    return pending.length;
+  }
+
+  schedule(delivery) {
+    const delayMs = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery.id).catch(error => {
+        console.error(`Webhook delivery ${delivery.id} crashed:`, error.message);
+      });
+    }, delayMs);
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  async attempt(deliveryId) {
+    const delivery = this.store.getDelivery(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const secret = this.store.getSigningSecret(delivery.userId);
+    const body = JSON.stringify({ id: delivery.id, event: delivery.event, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { at: new Date().toISOString() };
+
+    try {
+      await checkReceiverUrl(delivery.url);
+      const response = await this.post(delivery.url, body, {
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        lookup: publicLookup,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'VirtualTryOn-Webhooks/1.0',
+          'X-TryOn-Event': delivery.event,
+          'X-TryOn-Delivery': delivery.id,
+          'X-TryOn-Signature': signPayload(secret, timestamp, body)
+        }
+      });
+      attempt.responseStatus = response.status;
+      attempt.success = response.status >= 200 && response.status < 300;
+      if (!attempt.success) {
+        attempt.error = `Receiver responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.success = false;
+      attempt.error = describeDeliveryError(error);
+      console.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed:`, error.message);
+    }
+
+    const attempts = [...delivery.attempts, attempt];
+
+    if (attempt.success) {
+      this.store.updateDelivery(deliveryId, { status: 'succeeded', attempts, nextAttemptAt: null });
+      return;
+    }
+
+    if (attempts.length >= this.maxAttempts) {
+      this.store.updateDelivery(deliveryId, { status: 'failed', attempts, nextAttemptAt: null });
+      return;
+    }
+
+    // Exponential backoff: 10s, 20s, 40s, ... with the default base delay
+    const delayMs = this.baseDelayMs * Math.pow(2, attempts.length - 1);
+    const updated = this.store.updateDelivery(deliveryId, {
+      attempts,
+      nextAttemptAt: new Date(Date.now() + delayMs).toISOString()
+    });
+    this.schedule(updated);
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  ReceiverAddressError,
+  signPayload,
+  isPrivateAddress,
+  checkReceiverUrl
+};
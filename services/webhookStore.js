@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+const WEBHOOK_EVENTS = ['job.completed', 'job.failed'];
+const MAX_DELIVERIES = 5000;
+
+class MemoryWebhookStore {
+  constructor() {
+    this.endpoints = {};
+    this.secrets = {};
+    this.deliveries = [];
+  }
+
+  addEndpoint(userId, { url, events }) {
+    const endpoint = {
+      id: crypto.randomUUID(),
+      userId,
+      url,
+      events,
+      createdAt: new Date().toISOString()
+    };
+    this.endpoints[endpoint.id] = endpoint;
+    this.save();
+    return { ...endpoint };
+  }
+
+  listEndpoints(userId) {
+    return Object.values(this.endpoints)
+      .filter(endpoint => endpoint.userId === userId)
+      .map(endpoint => ({ ...endpoint }));
+  }
+
+  endpointsFor(userId, event) {
+    return this.listEndpoints(userId).filter(endpoint => endpoint.events.includes(event));
+  }
+
+  removeEndpoint(userId, endpointId) {
+    const endpoint = this.endpoints[endpointId];
+    if (!endpoint || endpoint.userId !== userId) return false;
+    delete this.endpoints[endpointId];
+    this.save();
+    return true;
+  }
+
+  // One signing secret per account, shared by account webhooks and per-job callback URLs
+  getSigningSecret(userId) {
+    if (!this.secrets[userId]) {
+      this.secrets[userId] = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+      this.save();
+    }
+    return this.secrets[userId];
+  }
+
+  rotateSigningSecret(userId) {
+    delete this.secrets[userId];
+    return this.getSigningSecret(userId);
+  }
+
+  addDelivery(fields) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      ...fields
+    };
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > MAX_DELIVERIES) {
+      this.deliveries.splice(0, this.deliveries.length - MAX_DELIVERIES);
+    }
+    this.save();
+    return { ...delivery };
+  }
+
+  getDelivery(deliveryId) {
+    const delivery = this.deliveries.find(candidate => candidate.id === deliveryId);
+    return delivery ? { ...delivery } : null;
+  }
+
+  updateDelivery(deliveryId, changes) {
+    const delivery = this.deliveries.find(candidate => candidate.id === deliveryId);
+    if (!delivery) return null;
+    Object.assign(delivery, changes);
+    this.save();
+    return { ...delivery };
+  }
+
+  listDeliveries(userId, { requestId, limit = 50, offset = 0 } = {}) {
+    const deliveries = this.deliveries
+      .filter(delivery => delivery.userId === userId && (!requestId || delivery.requestId === requestId))
+      .reverse();
+    return {
+      total: deliveries.length,
+      deliveries: deliveries.slice(offset, offset + limit)
+    };
+  }
+
+  pendingDeliveries() {
+    return this.deliveries.filter(delivery => delivery.status === 'pending').map(delivery => ({ ...delivery }));
+  }
+
+  deleteUser(userId) {
+    for (const [id, endpoint] of Object.entries(this.endpoints)) {
+      if (endpoint.userId === userId) delete this.endpoints[id];
+    }
+    delete this.secrets[userId];
+    this.deliveries = this.deliveries.filter(delivery => delivery.userId !== userId);
+    this.save();
+  }
+
+  save() {}
+}
+
+class FileWebhookStore extends MemoryWebhookStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    const stored = readJsonFile(filePath, {});
+    this.endpoints = stored.endpoints || {};
+    this.secrets = stored.secrets || {};
+    this.deliveries = stored.deliveries || [];
+  }
+
+  save() {
+    writeJsonFile(this.filePath, {
+      endpoints: this.endpoints,
+      secrets: this.secrets,
+      deliveries: this.deliveries
+    });
+  }
+}
+
+const createWebhookStore = ({ driver = 'file', filePath } = {}) => {
+  if (driver === 'memory') {
+    return new MemoryWebhookStore();
+  }
+  if (driver === 'file') {
+    if (!filePath) {
+      throw new Error('filePath is required for the file webhook store');
+    }
+    return new FileWebhookStore(filePath);
+  }
+  throw new Error(`Unknown webhook store driver: ${driver}`);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MemoryWebhookStore,
+  FileWebhookStore,
+  createWebhookStore
+};
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileJobStore, MemoryJobStore } = require('../services/jobStore');
+const { readJsonFile } = require('../services/jsonFile');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('FileJobStore batches writes until the delay passes or flush() is called', async () => {
+  const filePath = path.join(tempDir, 'batched.json');
+  const store = new FileJobStore(filePath, { saveDelayMs: 20 });
+
+  store.set('a', { status: 'queued', progress: 0 });
+  store.set('a', { status: 'processing', progress: 50 });
+  assert.strictEqual(fs.existsSync(filePath), false);
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.strictEqual(readJsonFile(filePath, {}).a.progress, 50);
+
+  store.set('b', { status: 'queued', progress: 0 });
+  store.flush();
+  assert.deepStrictEqual(Object.keys(readJsonFile(filePath, {})), ['a', 'b']);
+});
+
+test('prune drops finished jobs older than the cutoff only', () => {
+  const store = new MemoryJobStore();
+  const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  store.jobs.set('old-completed', { status: 'completed', updatedAt: old });
+  store.jobs.set('old-processing', { status: 'processing', updatedAt: old });
+  store.jobs.set('old-interrupted', { status: 'interrupted', updatedAt: old.toISOString() });
+  store.set('new-failed', { status: 'failed' });
+
+  const pruned = store.prune(60 * 60 * 1000);
+
+  assert.deepStrictEqual(pruned.map(({ requestId }) => requestId).sort(), ['old-completed', 'old-interrupted']);
+  assert.deepStrictEqual(Array.from(store.jobs.keys()).sort(), ['new-failed', 'old-processing']);
+});
+
+test('readJsonFile falls back only when the file is missing', () => {
+  assert.deepStrictEqual(readJsonFile(path.join(tempDir, 'missing.json'), { empty: true }), { empty: true });
+
+  const corruptPath = path.join(tempDir, 'corrupt.json');
+  fs.writeFileSync(corruptPath, '{"truncated": ');
+  assert.throws(() => readJsonFile(corruptPath, {}), /Failed to parse/);
+});
@@ -0,0 +1,292 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const axios = require('axios');
+const { ReplicateVellaService, determineGarmentType } = require('../services/replicateVellaService');
+const { ResiliencePolicy } = require('../services/resilience');
+
+// Records every call the service makes; predictions.get walks through the given statuses
+const createFakeReplicate = ({ statuses = ['succeeded'], output = ['https://replicate.delivery/result.png'] } = {}) => {
+  const calls = { create: [], get: [], cancel: [] };
+  let polls = 0;
+
+  return {
+    calls,
+    predictions: {
+      create: async (request) => {
+        calls.create.push(request);
+        return { id: 'prediction-1', status: 'starting' };
+      },
+      get: async (id) => {
+        calls.get.push(id);
+        const status = statuses[Math.min(polls++, statuses.length - 1)];
+        return { id, status, output: status === 'succeeded' ? output : null, error: status === 'failed' ? 'boom' : null };
+      },
+      cancel: async (id) => {
+        calls.cancel.push(id);
+      }
+    }
+  };
+};
+
+const createService = (options = {}) => new ReplicateVellaService({
+  model: 'omnious/vella-1.5',
+  pollIntervalMs: 1,
+  resilience: new ResiliencePolicy({ name: 'test', retries: 0 }),
+  replicate: createFakeReplicate(),
+  ...options
+});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vella-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const writeTempImage = (name) => {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, Buffer.from(name));
+  return filePath;
+};
+
+test('determineGarmentType describes each garment combination', () => {
+  assert.strictEqual(determineGarmentType([{ type: 'top' }]), 'top');
+  assert.strictEqual(determineGarmentType([{ type: 'bottom' }]), 'bottom');
+  assert.strictEqual(determineGarmentType([{ type: 'outer' }]), 'outer');
+  assert.strictEqual(determineGarmentType([{ type: 'dress' }]), 'dress');
+  assert.strictEqual(determineGarmentType([{ type: 'top' }, { type: 'bottom' }]), 'top_bottom');
+  assert.strictEqual(determineGarmentType([{ type: 'top' }, { type: 'outer' }]), 'top_outer');
+  assert.strictEqual(determineGarmentType([{ type: 'dress' }, { type: 'outer' }]), 'dress');
+  assert.strictEqual(determineGarmentType([]), 'top');
+});
+
+test('getModelRef pins the configured version to the default model only', () => {
+  const service = createService({ version: 'abc123', models: ['omnious/vella-1.5', 'omnious/vella-2:def456', 'other/model'] });
+
+  assert.strictEqual(service.getModelRef(), 'omnious/vella-1.5:abc123');
+  assert.strictEqual(service.getModelRef('omnious/vella-1.5'), 'omnious/vella-1.5:abc123');
+  assert.strictEqual(service.getModelRef('omnious/vella-2:def456'), 'omnious/vella-2:def456');
+  assert.strictEqual(service.getModelRef('other/model'), 'other/model');
+  assert.strictEqual(createService().getModelRef(), 'omnious/vella-1.5');
+});
+
+test('createPrediction sends a pinned version and the garment images to the client', async () => {
+  const replicate = createFakeReplicate();
+  const service = createService({ version: 'abc123', replicate, webhookUrl: 'https://example.com/api/replicate/webhook' });
+  const modelImagePath = writeTempImage('model.jpg');
+  const topImagePath = writeTempImage('top.jpg');
+  const bottomImagePath = writeTempImage('bottom.jpg');
+
+  await service.createPrediction(modelImagePath, [
+    { type: 'top', imagePath: topImagePath },
+    { type: 'bottom', imagePath: bottomImagePath }
+  ], { numOutputs: 2, seed: 7 });
+
+  assert.strictEqual(replicate.calls.create.length, 1);
+  const request = replicate.calls.create[0];
+  assert.strictEqual(request.version, 'abc123');
+  assert.strictEqual(request.model, undefined);
+  assert.strictEqual(request.webhook, 'https://example.com/api/replicate/webhook');
+  assert.deepStrictEqual(request.input.model_image, Buffer.from('model.jpg'));
+  assert.deepStrictEqual(request.input.top_image, Buffer.from('top.jpg'));
+  assert.deepStrictEqual(request.input.bottom_image, Buffer.from('bottom.jpg'));
+  assert.strictEqual(request.input.garment_type, 'top_bottom');
+  assert.strictEqual(request.input.num_outputs, 2);
+  assert.strictEqual(request.input.seed, 7);
+});
+
+test('virtualTryOn polls the prediction until it succeeds', async () => {
+  const replicate = createFakeReplicate({ statuses: ['starting', 'processing', 'succeeded'] });
+  const service = createService({ replicate });
+  const updates = [];
+
+  const results = await service.virtualTryOn(writeTempImage('model.jpg'), [{ type: 'dress', imagePath: writeTempImage('dress.jpg') }], {
+    onProgress: (progress, prediction) => updates.push(prediction.status)
+  });
+
+  assert.deepStrictEqual(updates, ['starting', 'processing', 'succeeded']);
+  assert.strictEqual(replicate.calls.create[0].model, 'omnious/vella-1.5');
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].imageUrl, 'https://replicate.delivery/result.png');
+  assert.strictEqual(results[0].provenance, 'real');
+});
+
+test('virtualTryOn reports failed predictions as classified errors', async () => {
+  const service = createService({ replicate: createFakeReplicate({ statuses: ['failed'] }) });
+
+  await assert.rejects(
+    service.virtualTryOn(writeTempImage('model.jpg'), [{ type: 'top', imagePath: writeTempImage('top.jpg') }]),
+    (error) => error.name === 'GenerationError' && /Prediction failed: boom/.test(error.detail)
+  );
+});
+
+test('toResult handles URL strings, url() objects and streams', async () => {
+  const service = createService();
+
+  const fromString = await service.toResult('https://replicate.delivery/a.png', 0);
+  assert.strictEqual(fromString.imageUrl, 'https://replicate.delivery/a.png');
+  assert.strictEqual(fromString.index, 0);
+
+  const fromUrl = await service.toResult({ url: () => new URL('https://replicate.delivery/b.png') }, 1);
+  assert.strictEqual(fromUrl.imageUrl, 'https://replicate.delivery/b.png');
+  assert.strictEqual(fromUrl.index, 1);
+
+  const fromNodeStream = await service.toResult(Readable.from([Buffer.from('png-'), Buffer.from('bytes')]), 2);
+  assert.deepStrictEqual(fromNodeStream.imageBuffer, Buffer.from('png-bytes'));
+  assert.strictEqual(fromNodeStream.isStream, true);
+
+  const webStream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new Uint8Array([1, 2, 3]));
+      controller.close();
+    }
+  });
+  const fromWebStream = await service.toResult(webStream, 3);
+  assert.deepStrictEqual(fromWebStream.imageBuffer, Buffer.from([1, 2, 3]));
+
+  assert.strictEqual(await service.toResult(null, 4), null);
+  assert.strictEqual(await service.toResult({}, 5), null);
+});
+
+test('processReplicateOutput falls back to a placeholder when nothing is usable', async () => {
+  const service = createService();
+
+  const results = await service.processReplicateOutput(['https://replicate.delivery/a.png', null]);
+  assert.deepStrictEqual(results.map(result => result.imageUrl), ['https://replicate.delivery/a.png']);
+
+  const single = await service.processReplicateOutput('https://replicate.delivery/single.png');
+  assert.strictEqual(single[0].imageUrl, 'https://replicate.delivery/single.png');
+
+  const fallback = await service.processReplicateOutput([]);
+  assert.strictEqual(fallback[0].isMock, true);
+  assert.strictEqual(fallback[0].provenance, 'fallback');
+});
+
+test('getImageBuffer returns inline buffers and decodes data URIs', async () => {
+  const service = createService();
+
+  const buffer = Buffer.from('already downloaded');
+  assert.strictEqual(await service.getImageBuffer({ imageBuffer: buffer }), buffer);
+
+  const decoded = await service.getImageBuffer({ imageUrl: `data:image/png;base64,${Buffer.from('inline').toString('base64')}` });
+  assert.deepStrictEqual(decoded, Buffer.from('inline'));
+});
+
+test('getImageBuffer downloads URLs and classifies download failures', async (t) => {
+  const service = createService();
+  const requested = [];
+  t.mock.method(axios, 'get', async (url) => {
+    requested.push(url);
+    if (url.endsWith('/missing.png')) {
+      const error = new Error('Request failed with status code 404');
+      error.response = { status: 404 };
+      throw error;
+    }
+    return { data: Buffer.from('downloaded') };
+  });
+
+  const downloaded = await service.getImageBuffer({ imageUrl: 'https://replicate.delivery/a.png' });
+  assert.deepStrictEqual(downloaded, Buffer.from('downloaded'));
+  assert.deepStrictEqual(requested, ['https://replicate.delivery/a.png']);
+
+  await assert.rejects(
+    service.getImageBuffer({ imageUrl: 'https://replicate.delivery/missing.png' }),
+    (error) => error.name === 'GenerationError' && error.code === 'PROVIDER_UNAVAILABLE'
+  );
+
+  await assert.rejects(
+    service.getImageBuffer({ imageUrl: 42 }),
+    (error) => error.code === 'PROVIDER_UNAVAILABLE' && /Invalid image URL type/.test(error.detail)
+  );
+});
+
+test('createPrediction is not retried once the request may have reached Replicate', async () => {
+  const replicate = createFakeReplicate();
+  let resolveLate;
+  replicate.predictions.create = async (request) => {
+    replicate.calls.create.push(request);
+    return new Promise((resolve) => {
+      resolveLate = resolve;
+    });
+  };
+  const service = createService({
+    replicate,
+    resilience: new ResiliencePolicy({ name: 'test', retries: 3, baseDelayMs: 1, timeoutMs: 20 })
+  });
+
+  await assert.rejects(
+    service.createPrediction(writeTempImage('model.jpg'), [{ type: 'top', imagePath: writeTempImage('top.jpg') }]),
+    (error) => error.name === 'TimeoutError'
+  );
+  assert.strictEqual(replicate.calls.create.length, 1);
+
+  // The prediction created after the timeout is cancelled rather than left running
+  resolveLate({ id: 'late-prediction', status: 'starting' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(replicate.calls.cancel, ['late-prediction']);
+
+  replicate.predictions.create = async (request) => {
+    replicate.calls.create.push(request);
+    const error = new Error('Internal Server Error');
+    error.response = { status: 500 };
+    throw error;
+  };
+  await assert.rejects(service.createPrediction(writeTempImage('model.jpg'), [{ type: 'top', imagePath: writeTempImage('top.jpg') }]));
+  assert.strictEqual(replicate.calls.create.length, 2);
+});
+
+test('createPrediction cancels a prediction created after the job was cancelled', async () => {
+  const replicate = createFakeReplicate();
+  const controller = new AbortController();
+  const create = replicate.predictions.create;
+  replicate.predictions.create = async (request) => {
+    controller.abort();
+    return create(request);
+  };
+  const service = createService({ replicate });
+
+  await assert.rejects(
+    service.createPrediction(writeTempImage('model.jpg'), [{ type: 'top', imagePath: writeTempImage('top.jpg') }], { signal: controller.signal }),
+    /Generation cancelled/
+  );
+  assert.strictEqual(replicate.calls.create[0].signal, undefined);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(replicate.calls.cancel, ['prediction-1']);
+});
+
+test('createPrediction is retried when Replicate turned the request away', async () => {
+  const replicate = createFakeReplicate();
+  const create = replicate.predictions.create;
+  replicate.predictions.create = async (request) => {
+    if (replicate.calls.create.length === 0) {
+      replicate.calls.create.push(request);
+      const error = new Error('Too Many Requests');
+      error.response = { status: 429 };
+      throw error;
+    }
+    return create(request);
+  };
+  const service = createService({
+    replicate,
+    resilience: new ResiliencePolicy({ name: 'test', retries: 1, baseDelayMs: 1 })
+  });
+
+  const prediction = await service.createPrediction(writeTempImage('model.jpg'), [{ type: 'top', imagePath: writeTempImage('top.jpg') }]);
+  assert.strictEqual(prediction.id, 'prediction-1');
+  assert.strictEqual(replicate.calls.create.length, 2);
+});
+
+test('a webhook update that arrives during a poll is not lost', async () => {
+  const replicate = createFakeReplicate({ statuses: ['processing'] });
+  const service = createService({ replicate, pollIntervalMs: 50, predictionTimeoutMs: 500 });
+  const get = replicate.predictions.get;
+  replicate.predictions.get = async (id) => {
+    service.handlePredictionUpdate({ id, status: 'succeeded', output: ['https://replicate.delivery/pushed.png'] });
+    return get(id);
+  };
+
+  const prediction = await service.waitForPrediction('prediction-1');
+
+  assert.strictEqual(prediction.status, 'succeeded');
+  assert.deepStrictEqual(replicate.calls.get, ['prediction-1']);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { SqliteUserStore, DuplicateEmailError } = require('../services/userStore');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-store-test-'));
+const stores = [];
+test.after(() => {
+  stores.forEach(store => store.close());
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const openStore = (name) => {
+  const store = new SqliteUserStore(path.join(tempDir, name));
+  stores.push(store);
+  return store;
+};
+
+test('SqliteUserStore rejects a second account for the same email', async () => {
+  const store = openStore('unique.db');
+  const user = await store.create({ email: 'Ada@Example.com', password: 'hash' });
+  assert.strictEqual((await store.findByEmail('ada@example.com')).id, user.id);
+
+  await assert.rejects(store.create({ email: ' ADA@example.com ', password: 'other' }), DuplicateEmailError);
+
+  const other = await store.create({ email: 'grace@example.com', password: 'hash' });
+  await assert.rejects(store.update(other.id, { email: 'ada@example.com' }), DuplicateEmailError);
+  assert.strictEqual((await store.findById(other.id)).email, 'grace@example.com');
+  assert.strictEqual(await store.count(), 2);
+});
+
+test('touchLastLogin writes only the last_login column, straight to the database', async () => {
+  const filePath = path.join(tempDir, 'last-login.db');
+  const store = openStore('last-login.db');
+  const user = await store.create({ email: 'ada@example.com', password: 'hash', lastLogin: '2020-01-01T00:00:00.000Z' });
+
+  const touched = await store.touchLastLogin(user.id);
+  assert.notStrictEqual(touched.lastLogin, '2020-01-01T00:00:00.000Z');
+  assert.strictEqual(touched.password, 'hash');
+
+  // A second connection sees the sign-in without the first one being closed or flushed
+  const db = new Database(filePath, { readonly: true });
+  assert.strictEqual(db.prepare('SELECT last_login FROM users WHERE id = ?').get(user.id).last_login, touched.lastLogin);
+  db.close();
+});
+
+test('update applies a function of the current record and delete removes the row', async () => {
+  const store = openStore('update.db');
+  const user = await store.create({ email: 'ada@example.com', password: 'hash', generations: 1 });
+
+  const updated = await store.update(user.id, current => ({ generations: current.generations + 1 }));
+  assert.strictEqual(updated.generations, 2);
+  assert.strictEqual((await store.findById(user.id)).generations, 2);
+  assert.strictEqual(await store.update('missing', { name: 'x' }), null);
+
+  assert.strictEqual(await store.delete(user.id), true);
+  assert.strictEqual(await store.findById(user.id), null);
+  assert.strictEqual(await store.delete(user.id), false);
+});
+
+test('migrateLegacyFile imports users.json once and sets it aside', async () => {
+  const store = openStore('migrate.db');
+  const legacyPath = path.join(tempDir, 'users.json');
+  fs.writeFileSync(legacyPath, JSON.stringify([
+    { id: '1', email: 'Ada@Example.com', password: 'hash' },
+    { id: '2', email: 'ada@example.com', password: 'hash' },
+    { id: '3', email: 'nopassword@example.com' }
+  ]));
+
+  assert.deepStrictEqual(await store.migrateLegacyFile(legacyPath), { imported: 1, skipped: 2 });
+  assert.strictEqual((await store.findByEmail('ada@example.com')).id, '1');
+  assert.strictEqual(fs.existsSync(legacyPath), false);
+  assert.strictEqual(fs.existsSync(`${legacyPath}.migrated`), true);
+
+  fs.writeFileSync(legacyPath, JSON.stringify([{ id: '4', email: 'late@example.com', password: 'hash' }]));
+  assert.deepStrictEqual(await store.migrateLegacyFile(legacyPath), { imported: 0, skipped: 0 });
+  assert.strictEqual(await store.findByEmail('late@example.com'), null);
+});